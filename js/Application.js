@@ -23,6 +23,14 @@ class Application {
         this.uiManager = null;
         /** @type {TopicManager|null} Manages the learning topics and their state. */
         this.topicManager = null;
+        /**
+         * Memory counts per topic for the debug panel: how often it was loaded, the counts
+         * once its first load was drawn, and the most recent counts.
+         * @type {Object<string, {id: string, loads: number, first: Object|null, latest: Object|null}>}
+         */
+        this.topicMemory = {};
+        /** @type {number|null} The interval refreshing the debug panel while it is open. */
+        this.debugPanelTimer = null;
     }
 
     /**
@@ -61,6 +69,10 @@ class Application {
             // Hide loader only after everything is ready
             this.uiManager.hideLoader();
 
+            if (this.sceneManager.isSoftwareRendering()) {
+                this.uiManager.showNotice('No hardware graphics acceleration is available, so the 3D view is running in a slower, reduced-quality mode.');
+            }
+
             // Load welcome topic by default
             this.topicManager.loadTopic('welcome');
 
@@ -89,9 +101,57 @@ class Application {
         }
     }
 
+    /**
+     * Opens or closes the memory debug panel, which refreshes twice a second while open.
+     * @param {boolean} visible True to open the panel.
+     */
+    setDebugPanelVisible(visible) {
+        this.uiManager.setDebugPanelVisible(visible);
+        clearInterval(this.debugPanelTimer);
+        this.debugPanelTimer = null;
+
+        if (visible) {
+            this.updateDebugPanel();
+            this.debugPanelTimer = setInterval(() => this.updateDebugPanel(), 500);
+        }
+    }
+
+    /**
+     * Records the current memory counts against the loaded topic and shows them.
+     */
+    updateDebugPanel() {
+        const stats = this.sceneManager.getMemoryStats();
+        const topic = this.topicMemory[this.topicManager.currentTopicId];
+        if (topic && topic.first) {
+            topic.latest = stats;
+        }
+        this.uiManager.updateDebugPanel(stats, Object.values(this.topicMemory).filter(item => item.latest));
+    }
+
+    /**
+     * Counts a load of a topic and records its memory counts once it has been drawn. The
+     * counts of its first load are the baseline the debug panel compares later loads with,
+     * so they are recorded whether or not the panel is open.
+     * @param {string} topicId The topic just loaded.
+     */
+    recordTopicLoad(topicId) {
+        const topic = this.topicMemory[topicId] || { id: topicId, loads: 0, first: null, latest: null };
+        this.topicMemory[topicId] = topic;
+        topic.loads++;
+
+        // The renderer counts GPU memory as it draws; the topic asked for its frame while
+        // loading, so that frame comes before this callback
+        requestAnimationFrame(() => {
+            if (this.topicManager.currentTopicId !== topicId) return;
+            const stats = this.sceneManager.getMemoryStats();
+            topic.first = topic.first || stats;
+            topic.latest = stats;
+        });
+    }
+
     /**
      * Sets up global event listeners for the application.
-     * This includes handling window resizing and topic change events.
+     * This includes handling window resizing, topic change events and the view toolbar.
      */
     setupEventListeners() {
         // Handle window resize
@@ -102,6 +162,103 @@ class Application {
         // Handle topic changes
         document.addEventListener('topicChanged', (e) => {
             console.log(`Topic changed to: ${e.detail.topic}`);
+            this.sceneManager.interactionManager.pin(null);
+
+            // Rebuilding after a context restore is not a new load
+            if (!e.detail.reloaded) {
+                this.recordTopicLoad(e.detail.topic);
+            }
+        });
+
+        // Pause while the GPU has taken the WebGL context away, and rebuild the topic
+        // once it is back
+        document.addEventListener('sceneContextLost', () => {
+            this.uiManager.showSceneMessage('The graphics context was lost. Waiting for it to be restored…');
+        });
+        document.addEventListener('sceneContextRestored', () => {
+            this.topicManager.reloadTopic();
+            this.uiManager.hideSceneMessage();
+        });
+
+        // Backquote toggles the GPU memory debug panel
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== '`' || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target instanceof HTMLElement && e.target.matches('input:not([type="range"]), textarea, select')) return;
+            this.setDebugPanelVisible(!this.uiManager.isDebugPanelVisible());
+        });
+
+        // Tooltips for the object under the pointer, and details of the clicked one
+        document.addEventListener('sceneObjectHovered', (e) => {
+            if (e.detail) {
+                this.uiManager.showTooltip(e.detail.summary, e.detail.clientX, e.detail.clientY);
+            } else {
+                this.uiManager.hideTooltip();
+            }
+        });
+        document.addEventListener('sceneObjectPinned', (e) => {
+            this.uiManager.setPinnedInfo(e.detail);
+        });
+        this.uiManager.pinnedInfo.addEventListener('click', (e) => {
+            if (e.target.closest('.unpin-button')) {
+                this.sceneManager.interactionManager.pin(null);
+            }
+        });
+
+        // The quad layout is arranged per projection system
+        document.addEventListener('projectionSystemChanged', () => {
+            this.uiManager.setViewportFrames(this.sceneManager.getViewports());
+        });
+
+        // Single, dual and quad viewport layouts
+        this.uiManager.layoutButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('.layout-button');
+            if (button) {
+                this.sceneManager.setLayout(button.dataset.layout);
+                this.uiManager.setLayoutState(button.dataset.layout);
+                this.uiManager.setViewportFrames(this.sceneManager.getViewports());
+            }
+        });
+
+        // Fold/unfold the HP into the 2D sheet
+        this.uiManager.unfoldToggle.addEventListener('click', () => {
+            const unfolded = !this.sceneManager.isUnfolded();
+            this.uiManager.setUnfoldState(unfolded);
+            this.sceneManager.setUnfolded(unfolded);
+        });
+
+        // Camera view presets, from the toolbar or the number keys
+        const presets = this.sceneManager.getCameraPresets();
+        this.uiManager.createCameraButtons(presets);
+        this.uiManager.cameraToolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('.camera-button');
+            if (button) {
+                this.sceneManager.setCameraView(button.dataset.view);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target instanceof HTMLElement && e.target.matches('input:not([type="range"]), textarea, select')) return;
+
+            const preset = presets.find(item => item.key === e.key);
+            if (preset) {
+                this.sceneManager.setCameraView(preset.id);
+            }
+        });
+
+        // Perspective/orthographic camera
+        this.uiManager.setCameraTypeState(this.sceneManager.getCameraType());
+        this.uiManager.cameraTypeToggle.addEventListener('click', () => {
+            const type = this.sceneManager.getCameraType() === 'orthographic' ? 'perspective' : 'orthographic';
+            this.sceneManager.setCameraType(type);
+            this.uiManager.setCameraTypeState(type);
+        });
+
+        // Show/hide the profile plane and the side views drawn on it
+        this.uiManager.profileToggle.addEventListener('click', () => {
+            const visible = !this.sceneManager.isProfilePlaneVisible();
+            this.uiManager.setProfilePlaneState(visible);
+            this.sceneManager.setProfilePlaneVisible(visible);
+            this.topicManager.refreshTopic();
         });
     }
 }
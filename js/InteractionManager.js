@@ -0,0 +1,568 @@
+/**
+ * @file Manages direct manipulation of scene objects with the mouse or touch.
+ */
+
+import * as THREE from '../libs/three.module.js';
+
+/**
+ * Principal axes that a drag can be locked to, keyed by the modifier that locks them.
+ * @type {Array<{modifier: string, axis: THREE.Vector3}>}
+ */
+const AXIS_LOCKS = [
+    { modifier: 'shiftKey', axis: new THREE.Vector3(1, 0, 0) },
+    { modifier: 'ctrlKey', axis: new THREE.Vector3(0, 1, 0) },
+    { modifier: 'metaKey', axis: new THREE.Vector3(0, 1, 0) },
+    { modifier: 'altKey', axis: new THREE.Vector3(0, 0, 1) }
+];
+
+/** @type {number} How far (in pixels) the pointer may move between press and release for a click. */
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Formats a coordinate triple the way the info overlay does.
+ * @param {THREE.Vector3} point The point to format.
+ * @returns {string} The coordinates, e.g. "(3, 0, 5)".
+ */
+const formatPoint = (point) => `(${[point.x, point.y, point.z].map(n => parseFloat(n.toFixed(2))).join(', ')})`;
+
+/**
+ * @class InteractionManager
+ * @classdesc Picks simulation objects with the SceneManager's raycaster. It lets the
+ * user drag the objects a topic has marked as draggable, highlights the object under the
+ * pointer and announces it for a tooltip, and pins the details of a clicked object.
+ * Picking works in every viewport, each with its own camera.
+ */
+class InteractionManager {
+    /**
+     * @constructor
+     * @param {SceneManager} sceneManager The SceneManager whose scene and raycaster are used.
+     */
+    constructor(sceneManager) {
+        /** @type {SceneManager} Reference to the SceneManager. */
+        this.sceneManager = sceneManager;
+        /**
+         * The drag in progress, if any: the callback, where the object started, where on
+         * it it was grabbed, the viewport, the plane (and locked axis) it moves over and
+         * whether OrbitControls were on before it.
+         * @type {{onDrag: function(THREE.Vector3): void, origin: THREE.Vector3, grabOffset: THREE.Vector3, viewport: Object, axis: THREE.Vector3|null, plane: THREE.Plane, controlsEnabled: boolean}|null}
+         */
+        this.drag = null;
+        /** @type {THREE.Object3D|null} The described object under the pointer. */
+        this.hovered = null;
+        /** @type {string|null} The summary last announced for the hovered object, so it is only announced again when it changes. */
+        this.hoveredSummary = null;
+        /** @type {{clientX: number, clientY: number}|null} Where the pointer last moved, waiting for the next hover pick. */
+        this.hoverPosition = null;
+        /** @type {number|null} The animation frame that will pick under the pointer, if one is pending. */
+        this.hoverFrame = null;
+        /** @type {boolean} Whether OrbitControls is turning the camera, when hover picks are skipped. */
+        this.orbiting = false;
+        /** @type {THREE.Object3D|null} The object whose details are pinned to the info overlay. */
+        this.pinned = null;
+        /** @type {string|null} Name of the pinned object, so it can be found again when a topic rebuilds it. */
+        this.pinnedName = null;
+        /** @type {{x: number, y: number}|null} Where the primary button went down, to tell clicks from drags. */
+        this.pressPosition = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onHover = this.onHover.bind(this);
+        this.updateHover = this.updateHover.bind(this);
+        this.onOrbitStart = this.onOrbitStart.bind(this);
+        this.onOrbitEnd = this.onOrbitEnd.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+    }
+
+    /**
+     * Starts listening for pointer events on the canvas container.
+     */
+    init() {
+        const container = this.sceneManager.container;
+        // Capture so a grab is seen before OrbitControls starts orbiting
+        container.addEventListener('pointerdown', this.onPointerDown, true);
+        container.addEventListener('pointermove', this.onHover);
+        container.addEventListener('pointerup', this.onClick);
+        container.addEventListener('pointerleave', this.onPointerLeave);
+        this.sceneManager.controls.addEventListener('start', this.onOrbitStart);
+        this.sceneManager.controls.addEventListener('end', this.onOrbitEnd);
+
+        // Lines are thin; only pick them when the pointer is right on them
+        this.sceneManager.raycaster.params.Line.threshold = 0.1;
+    }
+
+    /**
+     * Marks an object as draggable. While it is dragged, the callback receives the
+     * position the pointer asks for; the topic decides what to make of it (snapping,
+     * clamping, moving related objects) and redraws.
+     * @param {THREE.Object3D} object The object to make draggable.
+     * @param {function(THREE.Vector3): void} onDrag Called with the requested world position.
+     */
+    makeDraggable(object, onDrag) {
+        object.userData.draggable = { onDrag };
+    }
+
+    /**
+     * Points the raycaster through a screen position from the camera of a viewport.
+     * @param {number} clientX The horizontal client coordinate.
+     * @param {number} clientY The vertical client coordinate.
+     * @param {Object|null} [viewport] The viewport to cast from; defaults to the one under the position.
+     * @returns {Object|null} The viewport cast from, or null if there is none.
+     */
+    setRayFromScreen(clientX, clientY, viewport = this.sceneManager.getViewportAt(clientX, clientY)) {
+        const { container, raycaster, mouse } = this.sceneManager;
+        if (!viewport) return null;
+
+        const rect = container.getBoundingClientRect();
+        const x = ((clientX - rect.left) / rect.width - viewport.left) / viewport.width;
+        const y = ((clientY - rect.top) / rect.height - viewport.top) / viewport.height;
+        mouse.set(x * 2 - 1, -(y * 2 - 1));
+        viewport.camera.updateMatrixWorld();
+        raycaster.setFromCamera(mouse, viewport.camera);
+        return viewport;
+    }
+
+    /**
+     * Finds the nearest visible simulation object under a screen position.
+     * @param {number} clientX The horizontal client coordinate.
+     * @param {number} clientY The vertical client coordinate.
+     * @param {function(THREE.Object3D): boolean} [filter] Limits which objects can be picked.
+     * @param {THREE.Object3D[]} [targets] The objects to search; defaults to the simulation layers.
+     * @returns {{object: THREE.Object3D, point: THREE.Vector3, viewport: Object}|null} The hit, or null.
+     */
+    pick(clientX, clientY, filter = () => true, targets = Object.values(this.sceneManager.layers)) {
+        const viewport = this.setRayFromScreen(clientX, clientY);
+        if (!viewport) return null;
+
+        // Topics may have rebuilt objects since the last frame
+        this.sceneManager.scene.updateMatrixWorld();
+        const hit = this.sceneManager.raycaster.intersectObjects(targets, true)
+            .find(intersection => this.isShown(intersection.object) && filter(intersection.object));
+
+        return hit ? { object: hit.object, point: hit.point, viewport } : null;
+    }
+
+    /**
+     * Whether an object and all of its ancestors are visible.
+     * @param {THREE.Object3D} object The object to check.
+     * @returns {boolean} True if the object is shown.
+     */
+    isShown(object) {
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Chooses the plane the pointer drags over. By default this is the principal plane
+     * (parallel to the VP, HP or PP) that faces the camera most squarely. With an axis
+     * locked it is the plane along that axis that faces the camera best, so that only
+     * movement along the axis is kept.
+     * @param {THREE.Vector3} origin Where the dragged object started.
+     * @param {THREE.Camera} camera The camera of the viewport being dragged in.
+     * @param {THREE.Vector3|null} axis The locked axis, if any.
+     * @returns {THREE.Plane} The drag plane.
+     */
+    getDragPlane(origin, camera, axis) {
+        const view = camera.getWorldDirection(new THREE.Vector3());
+        let normal;
+
+        if (axis) {
+            // Of the planes containing the axis, take the one most facing the camera
+            normal = view.clone().sub(axis.clone().multiplyScalar(view.dot(axis)));
+            if (normal.lengthSq() < 1e-6) {
+                normal = new THREE.Vector3(axis.y, axis.z, axis.x);
+            }
+            normal.normalize();
+        } else {
+            const abs = [Math.abs(view.x), Math.abs(view.y), Math.abs(view.z)];
+            const dominant = abs.indexOf(Math.max(...abs));
+            normal = new THREE.Vector3().setComponent(dominant, 1);
+        }
+
+        return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, origin);
+    }
+
+    /**
+     * Returns the axis locked by the modifier keys held during a pointer event.
+     * Shift locks X, Ctrl (⌘ on Mac) locks Y and Alt locks Z.
+     * @param {PointerEvent} e The pointer event.
+     * @returns {THREE.Vector3|null} The locked axis, or null for a free drag.
+     */
+    getLockedAxis(e) {
+        const lock = AXIS_LOCKS.find(item => e[item.modifier]);
+        return lock ? lock.axis : null;
+    }
+
+    /**
+     * Starts a drag when a draggable object is grabbed, suspending OrbitControls. A camera
+     * transition still running stops where it is, so the object is dragged in a fixed view.
+     * @param {PointerEvent} e The pointer event.
+     */
+    onPointerDown(e) {
+        if (e.button !== 0) return;
+        this.pressPosition = { x: e.clientX, y: e.clientY };
+
+        const hit = this.pick(e.clientX, e.clientY, object => !!object.userData.draggable);
+        if (!hit) return;
+
+        e.stopPropagation();
+        e.preventDefault();
+        this.sceneManager.stopCameraView();
+
+        const origin = hit.object.getWorldPosition(new THREE.Vector3());
+        this.drag = {
+            onDrag: hit.object.userData.draggable.onDrag,
+            origin,
+            grabOffset: new THREE.Vector3(),
+            viewport: hit.viewport,
+            axis: undefined,
+            plane: null,
+            controlsEnabled: this.sceneManager.controls.enabled
+        };
+        this.updateDragPlane(e);
+
+        // Keep the object where it is relative to the pointer rather than jumping to it
+        const grabPoint = this.sceneManager.raycaster.ray.intersectPlane(this.drag.plane, new THREE.Vector3());
+        if (grabPoint) {
+            this.drag.grabOffset.subVectors(origin, grabPoint);
+        }
+
+        this.sceneManager.controls.enabled = false;
+        this.sceneManager.container.style.cursor = 'grabbing';
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+        window.addEventListener('pointercancel', this.onPointerUp);
+    }
+
+    /**
+     * Refreshes the drag plane when the locked axis changes mid-drag.
+     * @param {PointerEvent} e The pointer event carrying the modifier keys.
+     */
+    updateDragPlane(e) {
+        const axis = this.getLockedAxis(e);
+        if (axis === this.drag.axis) return;
+
+        this.drag.axis = axis;
+        this.drag.plane = this.getDragPlane(this.drag.origin, this.drag.viewport.camera, axis);
+    }
+
+    /**
+     * Notes where the pointer moved and picks under it on the next animation frame, so
+     * that however many moves a frame sees, the scene is searched once.
+     * @param {PointerEvent} e The pointer event.
+     */
+    onHover(e) {
+        if (this.drag || this.orbiting) return;
+
+        this.hoverPosition = { clientX: e.clientX, clientY: e.clientY };
+        if (this.hoverFrame === null) {
+            this.hoverFrame = requestAnimationFrame(this.updateHover);
+        }
+    }
+
+    /**
+     * Highlights the object under the pointer and announces it for a tooltip, showing the
+     * grab cursor over draggable objects. Topic objects take precedence over the
+     * reference planes behind them. The object is only announced when it, or what is said
+     * about it, changes.
+     * @fires document#sceneObjectHovered
+     */
+    updateHover() {
+        this.hoverFrame = null;
+        if (this.drag || this.orbiting || !this.hoverPosition) return;
+
+        const { clientX, clientY } = this.hoverPosition;
+        const hit = this.pickDescribed(clientX, clientY);
+        const object = hit ? hit.object : null;
+        this.sceneManager.container.style.cursor = object && object.userData.draggable ? 'grab' : '';
+
+        const objectChanged = object !== this.hovered;
+        if (objectChanged) {
+            const previous = this.hovered;
+            this.hovered = object;
+            this.refreshHighlight(previous);
+            this.refreshHighlight(object);
+        }
+
+        const description = object ? this.describe(object) : null;
+        const summary = description ? description.summary : null;
+        if (!objectChanged && summary === this.hoveredSummary) return;
+
+        this.hoveredSummary = summary;
+        const detail = description ? { ...description, clientX, clientY } : null;
+        document.dispatchEvent(new CustomEvent('sceneObjectHovered', { detail }));
+    }
+
+    /**
+     * Clears the hover state and drops any pick still waiting for its frame.
+     * @fires document#sceneObjectHovered
+     */
+    clearHover() {
+        if (this.hoverFrame !== null) {
+            cancelAnimationFrame(this.hoverFrame);
+            this.hoverFrame = null;
+        }
+        this.hoverPosition = null;
+        this.hoveredSummary = null;
+
+        const previous = this.hovered;
+        this.hovered = null;
+        this.refreshHighlight(previous);
+        this.sceneManager.container.style.cursor = '';
+        document.dispatchEvent(new CustomEvent('sceneObjectHovered', { detail: null }));
+    }
+
+    /**
+     * Clears the hover state when the pointer leaves the canvas.
+     */
+    onPointerLeave() {
+        if (this.drag) return;
+        this.clearHover();
+    }
+
+    /**
+     * Stops hovering while OrbitControls turns the camera, since the objects move under
+     * the pointer.
+     */
+    onOrbitStart() {
+        this.orbiting = true;
+        this.clearHover();
+    }
+
+    /**
+     * Resumes hovering once the camera has stopped turning.
+     */
+    onOrbitEnd() {
+        this.orbiting = false;
+    }
+
+    /**
+     * Pins the clicked object's details, or unpins them when empty space is clicked.
+     * Presses that moved the pointer (orbits and drags) are not clicks.
+     * @param {PointerEvent} e The pointer event.
+     */
+    onClick(e) {
+        if (e.button !== 0 || !this.pressPosition) return;
+
+        const moved = Math.hypot(e.clientX - this.pressPosition.x, e.clientY - this.pressPosition.y);
+        this.pressPosition = null;
+        if (moved > CLICK_TOLERANCE) return;
+
+        const hit = this.pickDescribed(e.clientX, e.clientY);
+        this.pin(hit ? hit.object : null);
+    }
+
+    /**
+     * Picks the nearest object that has something to say about itself: topic objects
+     * first, then the reference planes.
+     * @param {number} clientX The horizontal client coordinate.
+     * @param {number} clientY The vertical client coordinate.
+     * @returns {{object: THREE.Object3D, point: THREE.Vector3, viewport: Object}|null} The hit, or null.
+     */
+    pickDescribed(clientX, clientY) {
+        const described = object => !!this.getInfo(object);
+        const { hp, vp, pp } = this.sceneManager;
+        return this.pick(clientX, clientY, described)
+            || this.pick(clientX, clientY, described, [hp, vp, pp].filter(Boolean));
+    }
+
+    /**
+     * Returns the descriptive metadata of an object: what a topic attached through
+     * addToSimulation(), or the name the base environment gave it.
+     * @param {THREE.Object3D} object The object.
+     * @returns {{name: string, description?: string}|null} The metadata, or null if there is none.
+     */
+    getInfo(object) {
+        if (object.userData.info) return object.userData.info;
+        if (object.userData.name) return { name: object.userData.name };
+        return null;
+    }
+
+    /**
+     * Describes an object for tooltips and the info overlay. Coordinates are given where
+     * the object is in space with the planes folded, even when the sheet is unfolded.
+     * @param {THREE.Object3D} object The object.
+     * @returns {{name: string, description: string, summary: string, details: string[]}}
+     *     The name, the topic's description, a one-line summary and detail lines.
+     */
+    describe(object) {
+        const info = this.getInfo(object);
+        const details = [];
+        let summary = info.name;
+
+        // Single segments are described by their ends; outlines only by name
+        const position = object.geometry && object.geometry.attributes.position;
+        if (object.isLine && !object.isLineLoop && !object.isLineSegments && position.count === 2) {
+            const first = new THREE.Vector3().fromBufferAttribute(position, 0);
+            const last = new THREE.Vector3().fromBufferAttribute(position, position.count - 1);
+            details.push(
+                `From: ${formatPoint(first)}`,
+                `To: ${formatPoint(last)}`,
+                `Length: ${first.distanceTo(last).toFixed(2)} units`
+            );
+            summary = `${info.name} ${formatPoint(first)} – ${formatPoint(last)}`;
+        } else if (object.isMesh && object.geometry.type === 'SphereGeometry') {
+            summary = `${info.name} ${formatPoint(object.position)}`;
+            details.push(`Position: ${formatPoint(object.position)}`);
+        }
+
+        return { name: info.name, description: info.description || '', summary, details };
+    }
+
+    /**
+     * Pins an object's details to the info overlay, replacing any earlier pin.
+     * @param {THREE.Object3D|null} object The object to pin, or null to unpin.
+     * @fires document#sceneObjectPinned
+     */
+    pin(object) {
+        const previous = this.pinned;
+        this.pinned = object;
+        this.pinnedName = object ? this.getInfo(object).name : null;
+        this.refreshHighlight(previous);
+        this.refreshHighlight(object);
+
+        const detail = object ? this.describe(object) : null;
+        document.dispatchEvent(new CustomEvent('sceneObjectPinned', { detail }));
+    }
+
+    /**
+     * Called by the SceneManager for every object a topic adds. When a topic rebuilds
+     * the pinned object, the pin moves to the new copy so its details stay current.
+     * @param {THREE.Object3D} object The object just added.
+     */
+    onObjectAdded(object) {
+        const info = object.userData.info;
+        if (this.pinnedName && info && info.name === this.pinnedName) {
+            this.pin(object);
+        }
+    }
+
+    /**
+     * Called by the SceneManager when a topic changes an object in place. A pinned object's
+     * details are refreshed to match.
+     * @param {THREE.Object3D} object The changed object.
+     */
+    onObjectChanged(object) {
+        if (object === this.pinned) {
+            this.pin(object);
+        }
+    }
+
+    /**
+     * Called by the SceneManager before an object is removed from the simulation, so that
+     * it stops being hovered or pinned and its own material is back for disposal.
+     * @param {THREE.Object3D} object The object being removed.
+     */
+    onObjectRemoved(object) {
+        if (object === this.hovered) {
+            this.hovered = null;
+            this.refreshHighlight(object);
+        }
+        if (object === this.pinned) {
+            this.pin(null);
+        }
+    }
+
+    /**
+     * Highlights an object while it is hovered or pinned, and restores it otherwise.
+     * The object gets a highlighted copy of its material, since materials are often
+     * shared between objects.
+     * @param {THREE.Object3D|null} object The object to refresh.
+     */
+    refreshHighlight(object) {
+        if (!object || !object.material || Array.isArray(object.material)) return;
+
+        const highlighted = !!object.userData.originalMaterial;
+        const shouldHighlight = object === this.hovered || object === this.pinned;
+        if (highlighted === shouldHighlight) return;
+
+        if (shouldHighlight) {
+            const material = object.material.clone();
+            if (material.emissive) {
+                material.emissive.set(0x666666);
+            } else {
+                material.color.set(0xf59e0b);
+            }
+            object.userData.originalMaterial = object.material;
+            object.material = material;
+        } else {
+            object.material.dispose();
+            object.material = object.userData.originalMaterial;
+            delete object.userData.originalMaterial;
+        }
+        this.sceneManager.requestRender();
+    }
+
+    /**
+     * Restores the original materials of highlighted objects. The SceneManager calls this
+     * before clearing the simulation so that the materials it disposes are the originals.
+     */
+    releaseHighlights() {
+        const hovered = this.hovered;
+        const pinned = this.pinned;
+        this.hovered = null;
+        this.pinned = null;
+        this.refreshHighlight(hovered);
+        this.refreshHighlight(pinned);
+    }
+
+    /**
+     * Moves the dragged object under the pointer, constrained to the drag plane or the
+     * locked axis.
+     * @param {PointerEvent} e The pointer event.
+     */
+    onPointerMove(e) {
+        // The drag stays in the viewport it started in, even if the pointer leaves it
+        this.setRayFromScreen(e.clientX, e.clientY, this.drag.viewport);
+
+        this.updateDragPlane(e);
+        const point = this.sceneManager.raycaster.ray.intersectPlane(this.drag.plane, new THREE.Vector3());
+        if (!point) return;
+
+        const position = point.add(this.drag.grabOffset);
+        if (this.drag.axis) {
+            // Keep only the movement along the locked axis
+            const along = position.sub(this.drag.origin).dot(this.drag.axis);
+            position.copy(this.drag.origin).addScaledVector(this.drag.axis, along);
+        }
+        this.drag.onDrag(position);
+    }
+
+    /**
+     * Ends the drag and gives OrbitControls back the state they had before it.
+     */
+    onPointerUp() {
+        if (this.drag) {
+            // A camera view chosen mid-drag turns the controls back on itself when it arrives
+            this.sceneManager.controls.enabled = this.drag.controlsEnabled && !this.sceneManager.cameraAnimation;
+        }
+        this.drag = null;
+        this.sceneManager.container.style.cursor = '';
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        window.removeEventListener('pointercancel', this.onPointerUp);
+    }
+
+    /**
+     * Removes all event listeners.
+     */
+    dispose() {
+        const container = this.sceneManager.container;
+        container.removeEventListener('pointerdown', this.onPointerDown, true);
+        container.removeEventListener('pointermove', this.onHover);
+        container.removeEventListener('pointerup', this.onClick);
+        container.removeEventListener('pointerleave', this.onPointerLeave);
+        this.sceneManager.controls.removeEventListener('start', this.onOrbitStart);
+        this.sceneManager.controls.removeEventListener('end', this.onOrbitEnd);
+        if (this.hoverFrame !== null) {
+            cancelAnimationFrame(this.hoverFrame);
+            this.hoverFrame = null;
+        }
+        this.onPointerUp();
+    }
+}
+
+export default InteractionManager;
@@ -0,0 +1,292 @@
+/**
+ * @file Manages the textbook-style labels (a, a', a'', HT, X, Y...) drawn next to scene geometry.
+ */
+
+import * as THREE from '../libs/three.module.js';
+
+/**
+ * Label colours for each reference plane, matching the colours topics draw the views in.
+ * @type {Object<string, string>}
+ */
+const PLANE_COLORS = {
+    space: '#b91c1c',
+    vp: '#15803d',
+    hp: '#1d4ed8',
+    pp: '#7e22ce',
+    reference: '#1a202c'
+};
+
+/** @type {number} Gap in pixels between a label and the point it names. */
+const LABEL_GAP = 6;
+/** @type {number} Height in pixels of a label's box. */
+const LABEL_HEIGHT = 16;
+/** @type {number} Approximate width in pixels of one character of label text. */
+const CHAR_WIDTH = 8;
+
+/**
+ * Where a label may sit around its point, in order of preference: above right, above
+ * left, below right, below left, then right, left, above and below.
+ * Each entry sets the offset of the label's top-left corner from the point, given its
+ * width and height.
+ * @type {Array<function(number, number, THREE.Vector2): THREE.Vector2>}
+ */
+const PLACEMENTS = [
+    (w, h, offset) => offset.set(LABEL_GAP, -LABEL_GAP - h),
+    (w, h, offset) => offset.set(-LABEL_GAP - w, -LABEL_GAP - h),
+    (w, h, offset) => offset.set(LABEL_GAP, LABEL_GAP),
+    (w, h, offset) => offset.set(-LABEL_GAP - w, LABEL_GAP),
+    (w, h, offset) => offset.set(LABEL_GAP + 2, -h / 2),
+    (w, h, offset) => offset.set(-LABEL_GAP - 2 - w, -h / 2),
+    (w, h, offset) => offset.set(-w / 2, -LABEL_GAP - 2 - h),
+    (w, h, offset) => offset.set(-w / 2, LABEL_GAP + 2)
+];
+
+/**
+ * Area shared by two screen rectangles.
+ * @param {{x: number, y: number, w: number, h: number}} a The first rectangle.
+ * @param {{x: number, y: number, w: number, h: number}} b The second rectangle.
+ * @returns {number} The overlapping area in square pixels.
+ */
+const overlapArea = (a, b) => {
+    const w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+    const h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+    return w > 0 && h > 0 ? w * h : 0;
+};
+
+/**
+ * @class LabelManager
+ * @classdesc Draws labels as HTML elements over the canvas, so they always face the
+ * screen and keep the same size however far the camera is. A label is anchored to an
+ * invisible object in the scene and follows it, including when the planes are unfolded.
+ * After every frame the labels are laid out again in each viewport, each taking the
+ * first spot around its point that does not cover another label or point. The anchors
+ * are listed as they are added to and removed from the scene, and the layout works in
+ * buffers kept from frame to frame, so a frame creates no garbage.
+ */
+class LabelManager {
+    /**
+     * @constructor
+     * @param {SceneManager} sceneManager The SceneManager whose scene and viewports are labelled.
+     */
+    constructor(sceneManager) {
+        /** @type {SceneManager} Reference to the SceneManager. */
+        this.sceneManager = sceneManager;
+        /** @type {HTMLElement|null} The layer over the canvas holding the label elements. */
+        this.layer = null;
+        /** @type {HTMLElement[]} Label elements, reused from frame to frame. */
+        this.elements = [];
+        /** @type {THREE.Object3D[]} The label anchors in the scene, shown or not. */
+        this.anchors = [];
+        /** @type {Array<{anchor: THREE.Object3D, x: number, y: number}>} The labelled points of a viewport in pixels, reused from frame to frame. */
+        this.points = [];
+        /** @type {Array<{x: number, y: number, w: number, h: number}>} The rectangles of the points and labels placed so far in a viewport, reused from frame to frame. */
+        this.placed = [];
+        /** @type {{x: number, y: number, w: number, h: number}} The viewport being laid out, in pixels. */
+        this.bounds = { x: 0, y: 0, w: 0, h: 0 };
+        /** @type {{x: number, y: number, w: number, h: number}} A spot being tried for a label. */
+        this.candidate = { x: 0, y: 0, w: 0, h: 0 };
+        /** @type {THREE.Vector2} Scratch offset of a spot from its point. */
+        this.offset = new THREE.Vector2();
+        /** @type {THREE.Vector3} Scratch position of the anchor being projected. */
+        this.position = new THREE.Vector3();
+    }
+
+    /**
+     * Finds the label layer over the canvas.
+     */
+    init() {
+        this.layer = document.getElementById('label-layer');
+    }
+
+    /**
+     * Creates the anchor for a label. The anchor is an empty object, so it can be added
+     * to the scene like any other object and is cleared along with the simulation.
+     * @param {string} text The label text, e.g. "a'" or "HT".
+     * @param {THREE.Vector3} position Where the labelled point is.
+     * @param {string} [color] CSS colour of the text; defaults to the colour of the plane
+     *     the anchor is added to.
+     * @returns {THREE.Object3D} The label anchor.
+     */
+    createLabel(text, position, color) {
+        const anchor = new THREE.Object3D();
+        anchor.position.copy(position);
+        anchor.userData.label = { text, color };
+        return anchor;
+    }
+
+    /**
+     * Lists the label anchors in an object just added to the scene.
+     * @param {THREE.Object3D} object The object, searched with its descendants.
+     */
+    addAnchors(object) {
+        object.traverse(child => {
+            if (child.userData.label) this.anchors.push(child);
+        });
+    }
+
+    /**
+     * Stops listing the label anchors in an object removed from the scene.
+     * @param {THREE.Object3D} object The object, searched with its descendants.
+     */
+    removeAnchors(object) {
+        object.traverse(child => {
+            if (!child.userData.label) return;
+            const index = this.anchors.indexOf(child);
+            if (index !== -1) this.anchors.splice(index, 1);
+        });
+    }
+
+    /**
+     * Whether an anchor and all of its ancestors are visible, up to the scene.
+     * @param {THREE.Object3D} anchor The anchor to check.
+     * @returns {boolean} True if its label is shown.
+     */
+    isShown(anchor) {
+        let node = anchor;
+        for (; node.parent; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return node.visible && node === this.sceneManager.scene;
+    }
+
+    /**
+     * Returns one of the reusable rectangles of the points and labels placed, creating it
+     * the first time it is needed.
+     * @param {number} index Which rectangle.
+     * @returns {{x: number, y: number, w: number, h: number}} The rectangle.
+     */
+    getPlaced(index) {
+        if (!this.placed[index]) {
+            this.placed[index] = { x: 0, y: 0, w: 0, h: 0 };
+        }
+        return this.placed[index];
+    }
+
+    /**
+     * Lays out the labels of every visible anchor in every viewport. Called after each frame.
+     */
+    update() {
+        if (!this.layer) return;
+
+        const { container } = this.sceneManager;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const bounds = this.bounds;
+
+        let used = 0;
+        this.sceneManager.getViewports().forEach(viewport => {
+            bounds.x = viewport.left * width;
+            bounds.y = viewport.top * height;
+            bounds.w = viewport.width * width;
+            bounds.h = viewport.height * height;
+
+            // Project the points first so labels keep clear of all of them
+            let count = 0;
+            for (const anchor of this.anchors) {
+                if (!this.isShown(anchor)) continue;
+                const ndc = anchor.getWorldPosition(this.position).project(viewport.camera);
+                if (ndc.z < -1 || ndc.z > 1) continue;
+                const x = bounds.x + (ndc.x + 1) / 2 * bounds.w;
+                const y = bounds.y + (1 - ndc.y) / 2 * bounds.h;
+                if (x < bounds.x || x > bounds.x + bounds.w || y < bounds.y || y > bounds.y + bounds.h) continue;
+
+                if (!this.points[count]) {
+                    this.points[count] = { anchor: null, x: 0, y: 0 };
+                }
+                const point = this.points[count++];
+                point.anchor = anchor;
+                point.x = x;
+                point.y = y;
+
+                const rect = this.getPlaced(count - 1);
+                rect.x = x - 4;
+                rect.y = y - 4;
+                rect.w = 8;
+                rect.h = 8;
+            }
+
+            for (let i = 0; i < count; i++) {
+                const rect = this.getPlaced(count + i);
+                this.placeLabel(this.points[i], count + i, rect);
+                this.showElement(used++, this.points[i].anchor, rect);
+            }
+        });
+
+        // Let the anchors of this frame go, and hide the elements it did not need
+        this.points.forEach(point => {
+            point.anchor = null;
+        });
+        for (let i = used; i < this.elements.length; i++) {
+            this.elements[i].style.display = 'none';
+        }
+    }
+
+    /**
+     * Finds the spot around a point where its label covers the least of what is already
+     * placed, preferring the spots earlier in PLACEMENTS.
+     * @param {{anchor: THREE.Object3D, x: number, y: number}} point The point in pixels.
+     * @param {number} count How many of the placed rectangles to keep clear of.
+     * @param {{x: number, y: number, w: number, h: number}} rect Set to the label's rectangle.
+     */
+    placeLabel(point, count, rect) {
+        const bounds = this.bounds;
+        const candidate = this.candidate;
+        const w = point.anchor.userData.label.text.length * CHAR_WIDTH + 4;
+        const h = LABEL_HEIGHT;
+        let bestOverlap = Infinity;
+
+        for (const placement of PLACEMENTS) {
+            const offset = placement(w, h, this.offset);
+            candidate.x = point.x + offset.x;
+            candidate.y = point.y + offset.y;
+            candidate.w = w;
+            candidate.h = h;
+            const outside = candidate.x < bounds.x || candidate.y < bounds.y
+                || candidate.x + w > bounds.x + bounds.w || candidate.y + h > bounds.y + bounds.h;
+            let overlap = outside ? w * h : 0;
+            for (let i = 0; i < count; i++) {
+                overlap += overlapArea(candidate, this.placed[i]);
+            }
+
+            if (overlap < bestOverlap) {
+                Object.assign(rect, candidate);
+                bestOverlap = overlap;
+            }
+            if (overlap === 0) break;
+        }
+    }
+
+    /**
+     * Shows a label element at a rectangle, creating the element if needed.
+     * @param {number} index Which of the reusable elements to use.
+     * @param {THREE.Object3D} anchor The label's anchor.
+     * @param {{x: number, y: number}} rect Where the label goes, in pixels.
+     */
+    showElement(index, anchor, rect) {
+        if (!this.elements[index]) {
+            const element = document.createElement('div');
+            element.className = 'scene-label';
+            this.layer.appendChild(element);
+            this.elements[index] = element;
+        }
+
+        const element = this.elements[index];
+        const label = anchor.userData.label;
+        element.textContent = label.text;
+        element.style.color = label.color || PLANE_COLORS[anchor.userData.plane] || PLANE_COLORS.reference;
+        element.style.left = `${rect.x}px`;
+        element.style.top = `${rect.y}px`;
+        element.style.display = '';
+    }
+
+    /**
+     * Removes all label elements.
+     */
+    dispose() {
+        this.elements.forEach(element => element.remove());
+        this.elements = [];
+        this.anchors = [];
+    }
+}
+
+export default LabelManager;
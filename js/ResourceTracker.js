@@ -0,0 +1,95 @@
+/**
+ * @file Tracks the GPU resources of simulation objects so they can be disposed safely.
+ */
+
+/**
+ * @class ResourceTracker
+ * @classdesc Reference-counts the geometries, materials and textures used by tracked
+ * objects and all of their descendants. A resource shared by several objects is disposed
+ * only when the last object using it is untracked, so nothing is disposed twice and
+ * nothing nested in a group is forgotten.
+ */
+class ResourceTracker {
+    /**
+     * @constructor
+     */
+    constructor() {
+        /** @type {Map<Object, number>} How many tracked uses each resource has. */
+        this.counts = new Map();
+    }
+
+    /**
+     * Lists the resources an object uses directly: its geometry, its materials and the
+     * textures on those materials.
+     * @param {THREE.Object3D} object The object.
+     * @returns {Object[]} The resources, with repeats if the object uses one more than once.
+     */
+    getResources(object) {
+        const resources = [];
+        if (object.geometry) {
+            resources.push(object.geometry);
+        }
+
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.filter(Boolean).forEach(material => {
+            resources.push(material);
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) resources.push(value);
+            });
+            if (material.uniforms) {
+                Object.values(material.uniforms).forEach(uniform => {
+                    if (uniform && uniform.value && uniform.value.isTexture) resources.push(uniform.value);
+                });
+            }
+        });
+        return resources;
+    }
+
+    /**
+     * Counts a use of every resource of an object and its descendants.
+     * @param {THREE.Object3D} object The object to track.
+     */
+    track(object) {
+        object.traverse(node => {
+            this.getResources(node).forEach(resource => {
+                this.counts.set(resource, (this.counts.get(resource) || 0) + 1);
+            });
+        });
+    }
+
+    /**
+     * Releases a use of every resource of an object and its descendants, disposing the
+     * resources no tracked object uses any more. Resources that were never tracked are
+     * disposed straight away.
+     * @param {THREE.Object3D} object The object to untrack.
+     */
+    untrack(object) {
+        object.traverse(node => {
+            this.getResources(node).forEach(resource => {
+                const count = (this.counts.get(resource) || 1) - 1;
+                if (count > 0) {
+                    this.counts.set(resource, count);
+                } else {
+                    this.counts.delete(resource);
+                    resource.dispose();
+                }
+            });
+        });
+    }
+
+    /**
+     * Counts the tracked resources by kind, for spotting leaks.
+     * @returns {{geometries: number, materials: number, textures: number}} The counts.
+     */
+    getCounts() {
+        const counts = { geometries: 0, materials: 0, textures: 0 };
+        this.counts.forEach((uses, resource) => {
+            if (resource.isBufferGeometry) counts.geometries++;
+            else if (resource.isMaterial) counts.materials++;
+            else if (resource.isTexture) counts.textures++;
+        });
+        return counts;
+    }
+}
+
+export default ResourceTracker;
@@ -6,6 +6,50 @@ import * as THREE from '../libs/three.module.js';
 import { OrbitControls } from '../libs/examples/jsm/controls/OrbitControls.js';
 import { FontLoader } from '../libs/examples/jsm/loaders/FontLoader.js';
 import { TextGeometry } from '../libs/examples/jsm/geometries/TextGeometry.js';
+import InteractionManager from './InteractionManager.js';
+import LabelManager from './LabelManager.js';
+import ResourceTracker from './ResourceTracker.js';
+
+/**
+ * Cubic ease-in-out curve used for scene animations.
+ * @param {number} t Linear progress in the range [0, 1].
+ * @returns {number} The eased progress.
+ */
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+/**
+ * The supported projection systems. The object sits in the first quadrant for
+ * first-angle projection and in the third for third-angle projection; `ppHinge`
+ * is the direction in which the PP swings out about X1Y1 when unfolding.
+ * @type {Object<string, {id: string, name: string, standard: string, quadrant: string, sideView: string, ppHinge: number}>}
+ */
+const PROJECTION_SYSTEMS = {
+    first: { id: 'first', name: 'First-angle', standard: 'BIS / ISO-E', quadrant: '1st Quadrant', sideView: 'Left View', ppHinge: 1 },
+    third: { id: 'third', name: 'Third-angle', standard: 'ANSI', quadrant: '3rd Quadrant', sideView: 'Right View', ppHinge: -1 }
+};
+
+/**
+ * Standard camera views. Each looks at the scene from `direction`; the Top view leans a
+ * hair towards the observer so OrbitControls keeps the VP at the top of the screen.
+ * The side views look along XY from either end and bring the target back onto it, so
+ * the eye is on the XY line itself and both HP and VP are seen edge-on.
+ * @type {Object<string, {name: string, key: string, direction: THREE.Vector3, target?: THREE.Vector3}>}
+ */
+const CAMERA_PRESETS = {
+    front: { name: 'Front', key: '1', direction: new THREE.Vector3(0, 0, 1) },
+    top: { name: 'Top', key: '2', direction: new THREE.Vector3(0, 1, 0.0001) },
+    left: { name: 'Left', key: '3', direction: new THREE.Vector3(-1, 0, 0), target: new THREE.Vector3(0, 0, 0) },
+    right: { name: 'Right', key: '4', direction: new THREE.Vector3(1, 0, 0), target: new THREE.Vector3(0, 0, 0) },
+    iso: { name: 'Isometric', key: '5', direction: new THREE.Vector3(1, 1, 1) }
+};
+
+/** @type {string} Session storage key that remembers the camera type. */
+const CAMERA_TYPE_STORAGE_KEY = 'engg-graphics:camera-type';
+
+/** @type {THREE.Vector3} Scratch vectors reused when updating lines in place. */
+const _lineStart = new THREE.Vector3();
+/** @type {THREE.Vector3} */
+const _lineEnd = new THREE.Vector3();
 
 /**
  * @class SceneManager
@@ -25,8 +69,23 @@ class SceneManager {
         
         /** @type {THREE.Scene|null} The main Three.js scene. */
         this.scene = null;
-        /** @type {THREE.PerspectiveCamera|null} The camera for viewing the scene. */
+        /** @type {THREE.PerspectiveCamera|THREE.OrthographicCamera|null} The active camera for viewing the scene. */
         this.camera = null;
+        /** @type {THREE.PerspectiveCamera|null} The perspective camera. */
+        this.perspectiveCamera = null;
+        /** @type {THREE.OrthographicCamera|null} The orthographic camera, free of perspective distortion. */
+        this.orthographicCamera = null;
+        /** @type {number} Half the height of the orthographic view volume at zoom 1. */
+        this.orthoHalfHeight = 0;
+        /** @type {number} Distance the orthographic camera keeps from its target; it zooms instead of moving. */
+        this.orthoDistance = 50;
+        /**
+         * Locked orthographic cameras for the front, top and side view panes.
+         * @type {{front: THREE.OrthographicCamera, top: THREE.OrthographicCamera, side: THREE.OrthographicCamera}|null}
+         */
+        this.viewCameras = null;
+        /** @type {('single'|'dual'|'quad')} How the canvas is split into viewports. */
+        this.layout = 'single';
         /** @type {THREE.WebGLRenderer|null} The renderer for the scene. */
         this.renderer = null;
         /** @type {OrbitControls|null} The camera controls for user interaction. */
@@ -35,15 +94,62 @@ class SceneManager {
         this.raycaster = null;
         /** @type {THREE.Vector2|null} Stores normalized mouse coordinates. */
         this.mouse = null;
+        /** @type {InteractionManager|null} Picks and drags scene objects. */
+        this.interactionManager = null;
         
         /** @type {THREE.Mesh|null} The horizontal plane (HP). */
         this.hp = null;
         /** @type {THREE.Mesh|null} The vertical plane (VP). */
         this.vp = null;
+        /** @type {THREE.Mesh|null} The profile plane (PP). */
+        this.pp = null;
+        /** @type {THREE.Group|null} Pivot on the XY line that carries the HP when unfolding. */
+        this.hpPivot = null;
+        /** @type {THREE.Group|null} Pivot on the VP trace of the PP that carries the PP when unfolding. */
+        this.ppPivot = null;
+        /** @type {number} X coordinate at which the PP stands, perpendicular to both HP and VP. */
+        this.profilePlaneX = 10;
+        /** @type {Object} The active projection system, one of PROJECTION_SYSTEMS. */
+        this.projectionSystem = PROJECTION_SYSTEMS.first;
+        /** @type {THREE.Quaternion} Turns an object from the first quadrant into the active system's quadrant. */
+        this.objectQuadrantRotation = new THREE.Quaternion();
         /** @type {THREE.Group} A group to hold all topic-specific 3D objects. */
         this.simulationObjects = new THREE.Group();
+        /**
+         * Topic objects sorted by the plane they lie on. Objects in space are hidden on the
+         * unfolded sheet, and the HP layer lives inside the HP pivot so it rotates with the HP.
+         * @type {{space: THREE.Group, vp: THREE.Group, hp: THREE.Group, pp: THREE.Group}}
+         */
+        this.layers = {
+            space: new THREE.Group(),
+            vp: new THREE.Group(),
+            hp: new THREE.Group(),
+            pp: new THREE.Group()
+        };
+        this.simulationObjects.add(this.layers.space, this.layers.vp);
+        /** @type {number} Unfold progress, from 0 (3D planes) to 1 (flat 2D sheet). */
+        this.unfoldProgress = 0;
+        /** @type {Object|null} The running fold/unfold animation, if any. */
+        this.unfoldAnimation = null;
+        /** @type {Array<Object>} Value animations advanced by the render loop. */
+        this.animations = [];
+        /** @type {Object|null} The running camera transition, if any. */
+        this.cameraAnimation = null;
+        /** @type {ResourceTracker} Reference-counts the GPU resources of simulation objects. */
+        this.resourceTracker = new ResourceTracker();
+        /** @type {number|null} The animation frame a render is waiting for, if any. */
+        this.animationFrameId = null;
+        /** @type {boolean} Whether the WebGL context is lost, pausing rendering until it is restored. */
+        this.contextLost = false;
+        /** @type {boolean} Whether a software renderer is drawing the scene at reduced quality. */
+        this.softwareRendering = false;
+        /** @type {LabelManager|null} Draws the textbook labels next to scene geometry. */
+        this.labelManager = null;
         /** @type {Font|null} The loaded font for creating text geometries. */
         this.font = null;
+
+        this.onContextLost = this.onContextLost.bind(this);
+        this.onContextRestored = this.onContextRestored.bind(this);
     }
 
     /**
@@ -58,16 +164,19 @@ class SceneManager {
             this.setupScene();
             this.setupCamera();
             this.setupRenderer();
+            this.setupContextLossHandling();
             this.setupLighting();
             this.setupControls();
+            this.setCameraType(this.loadCameraType());
             this.setupRaycaster();
+            this.setupLabels();
             
             this.scene.add(this.simulationObjects);
             
             this.createBasePlanes();
             
-            // Start animation before loading font to show something on screen
-            this.animate();
+            // Render before loading font to show something on screen
+            this.requestRender();
             
             // Load font in background
             this.loadFont().then(() => {
@@ -91,29 +200,331 @@ class SceneManager {
     }
 
     /**
-     * Creates and configures the perspective camera.
+     * Creates and configures the perspective and orthographic cameras, along with the
+     * locked cameras of the view panes. The perspective camera starts out active.
      */
     setupCamera() {
-        const aspect = this.container.clientWidth / this.container.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 1000);
-        this.camera.position.set(10, 10, 20);
-        this.camera.lookAt(0, 0, 0);
+        this.perspectiveCamera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+        this.perspectiveCamera.position.set(10, 10, 20);
+        this.perspectiveCamera.lookAt(0, 0, 0);
+
+        // At zoom 1 the orthographic camera frames what the perspective camera sees
+        // at its starting distance
+        const distance = this.perspectiveCamera.position.length();
+        this.orthoHalfHeight = this.getPerspectiveHalfHeight(distance);
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+        this.orthographicCamera.userData.halfHeight = this.orthoHalfHeight;
+
+        this.camera = this.perspectiveCamera;
+        this.setupViewCameras();
+        this.updateCameraAspects();
+    }
+
+    /**
+     * Creates the locked orthographic cameras that look squarely at the VP, HP and PP
+     * for the front, top and side view panes.
+     */
+    setupViewCameras() {
+        const createViewCamera = () => {
+            const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+            camera.userData.halfHeight = 11;
+            return camera;
+        };
+
+        this.viewCameras = {
+            front: createViewCamera(),
+            top: createViewCamera(),
+            side: createViewCamera()
+        };
+
+        this.viewCameras.front.position.set(0, 0, this.orthoDistance);
+        this.viewCameras.front.lookAt(0, 0, 0);
+
+        // Keep the VP at the top of the top view, as on the drawing sheet
+        this.viewCameras.top.up.set(0, 0, -1);
+        this.viewCameras.top.position.set(0, this.orthoDistance, 0);
+        this.viewCameras.top.lookAt(0, 0, 0);
+
+        this.updateSideViewCamera();
+    }
+
+    /**
+     * Points the side view camera along XY from the side the projection system views
+     * from: the left in first-angle projection, the right in third-angle projection.
+     */
+    updateSideViewCamera() {
+        const side = this.projectionSystem.id === 'first' ? -1 : 1;
+        this.viewCameras.side.position.set(side * this.orthoDistance, 0, 0);
+        this.viewCameras.side.lookAt(0, 0, 0);
+    }
+
+    /**
+     * Half the height of the perspective camera's view at a distance from it.
+     * @param {number} distance The distance from the camera.
+     * @returns {number} Half the visible height at that distance.
+     */
+    getPerspectiveHalfHeight(distance) {
+        return distance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+    }
+
+    /**
+     * Fits every camera to the aspect ratio of the viewport it renders into.
+     */
+    updateCameraAspects() {
+        const containerAspect = this.container.clientWidth / this.container.clientHeight;
+        const viewports = this.getViewports();
+        const mainViewport = viewports.find(viewport => viewport.id === 'main');
+
+        // Both main cameras follow the main pane, whichever one is active
+        const cameras = [
+            [this.perspectiveCamera, mainViewport],
+            [this.orthographicCamera, mainViewport],
+            ...viewports.filter(viewport => viewport.id !== 'main').map(viewport => [viewport.camera, viewport])
+        ];
+
+        cameras.forEach(([camera, viewport]) => {
+            const aspect = containerAspect * viewport.width / viewport.height;
+            if (camera.isPerspectiveCamera) {
+                camera.aspect = aspect;
+            } else {
+                const halfHeight = camera.userData.halfHeight;
+                camera.left = -halfHeight * aspect;
+                camera.right = halfHeight * aspect;
+                camera.top = halfHeight;
+                camera.bottom = -halfHeight;
+            }
+            camera.updateProjectionMatrix();
+        });
+    }
+
+    /**
+     * Splits the canvas into viewports like a CAD package. All viewports render the
+     * same scene, so any change a topic makes shows up in every pane at once.
+     * @param {('single'|'dual'|'quad')} layout Single 3D view; 3D view beside the front view;
+     *     or the 3D view with front, top and side views.
+     * @throws {Error} If the layout is unknown.
+     */
+    setLayout(layout) {
+        if (!['single', 'dual', 'quad'].includes(layout)) {
+            throw new Error(`Unknown viewport layout "${layout}".`);
+        }
+        this.layout = layout;
+        this.updateCameraAspects();
+        this.requestRender();
+    }
+
+    /**
+     * Describes the viewports of the current layout. Rectangles are fractions of the
+     * container measured from its top-left corner. In the quad layout the panes are
+     * arranged as on the drawing sheet of the active projection system, with the 3D view
+     * in the free corner.
+     * @returns {Array<{id: string, name: string, camera: THREE.Camera, left: number, top: number, width: number, height: number}>}
+     *     The viewports, the free 3D view ('main') first.
+     */
+    getViewports() {
+        const panes = {
+            main: { id: 'main', name: '3D View', camera: this.camera },
+            front: { id: 'front', name: 'Front View', camera: this.viewCameras.front },
+            top: { id: 'top', name: 'Top View', camera: this.viewCameras.top },
+            side: { id: 'side', name: this.projectionSystem.sideView, camera: this.viewCameras.side }
+        };
+        const place = (pane, left, top, width, height) => ({ ...pane, left, top, width, height });
+
+        if (this.layout === 'dual') {
+            return [
+                place(panes.main, 0, 0, 0.5, 1),
+                place(panes.front, 0.5, 0, 0.5, 1)
+            ];
+        }
+
+        if (this.layout === 'quad') {
+            // First-angle: top view below the front view, left view to its right.
+            // Third-angle: top view above the front view, right view to its right.
+            const cells = this.projectionSystem.id === 'first'
+                ? { front: [0, 0], side: [0.5, 0], top: [0, 0.5], main: [0.5, 0.5] }
+                : { top: [0, 0], main: [0.5, 0], front: [0, 0.5], side: [0.5, 0.5] };
+            return ['main', 'front', 'top', 'side'].map(id => place(panes[id], ...cells[id], 0.5, 0.5));
+        }
+
+        return [place(panes.main, 0, 0, 1, 1)];
+    }
+
+    /**
+     * Finds the viewport under a point on the screen.
+     * @param {number} clientX The horizontal client coordinate.
+     * @param {number} clientY The vertical client coordinate.
+     * @returns {Object|null} The viewport, as described by getViewports(), or null if the
+     *     point is outside the canvas.
+     */
+    getViewportAt(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        const x = (clientX - rect.left) / rect.width;
+        const y = (clientY - rect.top) / rect.height;
+
+        return this.getViewports().find(viewport =>
+            x >= viewport.left && x <= viewport.left + viewport.width &&
+            y >= viewport.top && y <= viewport.top + viewport.height
+        ) || null;
+    }
+
+    /**
+     * Returns the type of the active camera.
+     * @returns {('perspective'|'orthographic')} The camera type.
+     */
+    getCameraType() {
+        return this.camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+    }
+
+    /**
+     * Swaps between the perspective and the orthographic camera, keeping the viewpoint
+     * and the apparent size of the scene. OrbitControls is handed the new camera, so it
+     * dollies the perspective camera and zooms the orthographic one. The choice is
+     * remembered for the rest of the session.
+     * @param {('perspective'|'orthographic')} type The camera type to use.
+     * @throws {Error} If the camera type is unknown.
+     */
+    setCameraType(type) {
+        if (type !== 'perspective' && type !== 'orthographic') {
+            throw new Error(`Unknown camera type "${type}".`);
+        }
+        this.saveCameraType(type);
+        if (type === this.getCameraType()) return;
+
+        const target = this.controls.target;
+        const direction = this.camera.position.clone().sub(target).normalize();
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+
+        // Zoom limits equivalent to the perspective camera's distance limits
+        this.controls.minZoom = this.orthoHalfHeight / (this.controls.maxDistance * tanHalfFov);
+        this.controls.maxZoom = this.orthoHalfHeight / (this.controls.minDistance * tanHalfFov);
+
+        let camera;
+        if (type === 'orthographic') {
+            camera = this.orthographicCamera;
+            const distance = this.camera.position.distanceTo(target);
+            camera.zoom = this.orthoHalfHeight / this.getPerspectiveHalfHeight(distance);
+            // Stand well back so zooming in never clips the scene
+            camera.position.copy(target).addScaledVector(direction, this.orthoDistance);
+        } else {
+            camera = this.perspectiveCamera;
+            const distance = THREE.MathUtils.clamp(
+                this.orthoHalfHeight / (this.camera.zoom * tanHalfFov),
+                this.controls.minDistance,
+                this.controls.maxDistance
+            );
+            camera.position.copy(target).addScaledVector(direction, distance);
+        }
+        camera.up.copy(this.camera.up);
+        camera.lookAt(target);
+
+        this.camera = camera;
+        this.updateCameraAspects();
+        this.controls.object = camera;
+        this.controls.update();
+        this.requestRender();
+    }
+
+    /**
+     * Reads the camera type remembered for this session.
+     * @returns {('perspective'|'orthographic')} The remembered camera type, perspective by default.
+     */
+    loadCameraType() {
+        try {
+            return sessionStorage.getItem(CAMERA_TYPE_STORAGE_KEY) === 'orthographic' ? 'orthographic' : 'perspective';
+        } catch (e) {
+            return 'perspective';
+        }
+    }
+
+    /**
+     * Remembers the camera type for this session.
+     * @param {('perspective'|'orthographic')} type The camera type.
+     */
+    saveCameraType(type) {
+        try {
+            sessionStorage.setItem(CAMERA_TYPE_STORAGE_KEY, type);
+        } catch (e) {
+            // Storage may be unavailable (e.g. private browsing); the choice just isn't kept
+        }
     }
 
     /**
      * Creates and configures the WebGL renderer.
      */
     setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ 
-            antialias: true,
-            powerPreference: "high-performance",
-            failIfMajorPerformanceCaveat: true
-        });
+        try {
+            this.renderer = new THREE.WebGLRenderer({ 
+                antialias: true,
+                powerPreference: "high-performance",
+                failIfMajorPerformanceCaveat: true
+            });
+        } catch (error) {
+            // Only a software renderer is available: run at reduced quality rather than not at all
+            console.warn('Hardware-accelerated WebGL unavailable, falling back to software rendering:', error);
+            this.renderer = new THREE.WebGLRenderer({ antialias: false });
+            this.softwareRendering = true;
+        }
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(this.softwareRendering ? 1 : Math.min(window.devicePixelRatio, 2));
         this.container.appendChild(this.renderer.domElement);
     }
 
+    /**
+     * Listens for the GPU taking the WebGL context away and giving it back. While the
+     * context is lost nothing is rendered; once it is restored the renderer re-uploads
+     * whatever it draws, and listeners are told so they can rebuild the topic.
+     */
+    setupContextLossHandling() {
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('webglcontextlost', this.onContextLost);
+        canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+    }
+
+    /**
+     * Pauses rendering when the WebGL context is lost.
+     * @param {Event} e The webglcontextlost event.
+     * @fires document#sceneContextLost
+     */
+    onContextLost(e) {
+        // Without this the browser never restores the context
+        e.preventDefault();
+        this.contextLost = true;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        document.dispatchEvent(new CustomEvent('sceneContextLost'));
+    }
+
+    /**
+     * Resumes rendering when the WebGL context is restored.
+     * @fires document#sceneContextRestored
+     */
+    onContextRestored() {
+        this.contextLost = false;
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.updateCameraAspects();
+        document.dispatchEvent(new CustomEvent('sceneContextRestored'));
+        this.requestRender();
+    }
+
+    /**
+     * Whether the WebGL context is currently lost.
+     * @returns {boolean} True while rendering is paused for a lost context.
+     */
+    isContextLost() {
+        return this.contextLost;
+    }
+
+    /**
+     * Whether the scene is drawn by a software renderer at reduced quality, because no
+     * hardware-accelerated WebGL was available.
+     * @returns {boolean} True in the degraded software mode.
+     */
+    isSoftwareRendering() {
+        return this.softwareRendering;
+    }
+
     /**
      * Adds lighting to the scene.
      */
@@ -146,6 +557,102 @@ class SceneManager {
         this.controls.screenSpacePanning = false;
         this.controls.minDistance = 5;
         this.controls.maxDistance = 100;
+        // Fired on every camera move, including each step of damping after release
+        this.controls.addEventListener('change', () => this.requestRender());
+
+        // Only the 3D view can be orbited; the view panes are locked. Catch events on
+        // their way down to the canvas so OrbitControls never sees them.
+        const keepToMainViewport = (e) => {
+            const viewport = this.getViewportAt(e.clientX, e.clientY);
+            if (viewport && viewport.id !== 'main') {
+                e.stopPropagation();
+            }
+        };
+        this.container.addEventListener('pointerdown', keepToMainViewport, true);
+        this.container.addEventListener('wheel', keepToMainViewport, true);
+    }
+
+    /**
+     * Lists the standard camera views for toolbars and keyboard shortcuts.
+     * @returns {Array<{id: string, name: string, key: string}>} The available presets.
+     */
+    getCameraPresets() {
+        return Object.entries(CAMERA_PRESETS).map(([id, preset]) => ({
+            id,
+            name: preset.name,
+            key: preset.key
+        }));
+    }
+
+    /**
+     * Smoothly moves the camera and the OrbitControls target to a standard view. The
+     * camera swings around the target at its current distance rather than cutting
+     * straight through the scene, so the change of viewpoint is easy to follow.
+     * @param {string} presetId The ID of the view in CAMERA_PRESETS.
+     * @param {number} [duration=800] The transition time in milliseconds.
+     * @returns {Promise<void>} A promise that resolves when the camera arrives.
+     * @throws {Error} If the preset is unknown.
+     */
+    setCameraView(presetId, duration = 800) {
+        const preset = CAMERA_PRESETS[presetId];
+        if (!preset) {
+            throw new Error(`Unknown camera view "${presetId}".`);
+        }
+
+        if (this.cameraAnimation) {
+            this.cancelAnimation(this.cameraAnimation);
+        }
+
+        const startTarget = this.controls.target.clone();
+        const endTarget = preset.target ? preset.target.clone() : startTarget.clone();
+        const start = new THREE.Spherical().setFromVector3(
+            this.camera.position.clone().sub(startTarget)
+        );
+        const end = new THREE.Spherical().setFromVector3(preset.direction.clone().normalize());
+        end.radius = start.radius;
+
+        // Take the short way round
+        const thetaDelta = THREE.MathUtils.euclideanModulo(end.theta - start.theta + Math.PI, Math.PI * 2) - Math.PI;
+        const spherical = new THREE.Spherical();
+
+        this.controls.enabled = false;
+        const animation = this.animateValue({
+            from: 0,
+            to: 1,
+            duration,
+            onUpdate: (t) => {
+                spherical.set(
+                    start.radius,
+                    THREE.MathUtils.lerp(start.phi, end.phi, t),
+                    start.theta + thetaDelta * t
+                );
+                this.controls.target.lerpVectors(startTarget, endTarget, t);
+                this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+                this.camera.lookAt(this.controls.target);
+            }
+        });
+        this.cameraAnimation = animation;
+
+        return animation.promise.then(() => {
+            if (this.cameraAnimation === animation) {
+                this.cameraAnimation = null;
+                this.controls.enabled = true;
+            }
+        });
+    }
+
+    /**
+     * Stops a camera transition where it is and turns OrbitControls back on, as when the
+     * user grabs an object mid-transition.
+     */
+    stopCameraView() {
+        const animation = this.cameraAnimation;
+        if (!animation) return;
+
+        // Clear it first so the transition's own ending leaves the controls alone
+        this.cameraAnimation = null;
+        this.cancelAnimation(animation);
+        this.controls.enabled = true;
     }
 
     /**
@@ -154,6 +661,17 @@ class SceneManager {
     setupRaycaster() {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
+
+        this.interactionManager = new InteractionManager(this);
+        this.interactionManager.init();
+    }
+
+    /**
+     * Creates the LabelManager that draws textbook labels over the scene.
+     */
+    setupLabels() {
+        this.labelManager = new LabelManager(this);
+        this.labelManager.init();
     }
 
     /**
@@ -169,12 +687,18 @@ class SceneManager {
             metalness: 0.2
         });
 
+        // The HP hinges on the XY line (the X axis), so everything lying on it
+        // shares one pivot that rotates it down into the VP when unfolding.
+        this.hpPivot = new THREE.Group();
+        this.hpPivot.add(this.layers.hp);
+        this.scene.add(this.hpPivot);
+
         // Horizontal Plane (HP)
         const hpGeometry = new THREE.PlaneGeometry(20, 20);
         this.hp = new THREE.Mesh(hpGeometry, planeMaterial.clone());
         this.hp.rotation.x = -Math.PI / 2;
         this.hp.userData = { name: 'Horizontal Plane (HP)' };
-        this.scene.add(this.hp);
+        this.hpPivot.add(this.hp);
 
         // Vertical Plane (VP)
         const vpGeometry = new THREE.PlaneGeometry(20, 20);
@@ -186,10 +710,132 @@ class SceneManager {
         // Grid Helper
         const gridHelper = new THREE.GridHelper(20, 20, 0xcccccc, 0xdddddd);
         gridHelper.position.y = 0.01;
-        this.scene.add(gridHelper);
+        this.hpPivot.add(gridHelper);
 
         // Axis Lines
         this.createAxisLines();
+
+        this.createProfilePlane(planeMaterial);
+    }
+
+    /**
+     * Creates the profile plane (PP) at the right-hand end of XY. It hinges on its
+     * trace with the VP and is hidden until side views are switched on.
+     * @param {THREE.Material} planeMaterial The material the reference planes are cloned from.
+     */
+    createProfilePlane(planeMaterial) {
+        this.ppPivot = new THREE.Group();
+        this.ppPivot.position.x = this.profilePlaneX;
+        this.ppPivot.visible = false;
+
+        // Offset the layer back so topics can place side views in world coordinates
+        this.layers.pp.position.x = -this.profilePlaneX;
+        this.ppPivot.add(this.layers.pp);
+
+        const ppGeometry = new THREE.PlaneGeometry(20, 20);
+        this.pp = new THREE.Mesh(ppGeometry, planeMaterial.clone());
+        this.pp.rotation.y = Math.PI / 2;
+        this.pp.userData = { name: 'Profile Plane (PP)' };
+        this.ppPivot.add(this.pp);
+
+        // X1Y1, the hinge of the PP on the VP
+        const hingeGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, -10, 0),
+            new THREE.Vector3(0, 10, 0)
+        ]);
+        const hinge = new THREE.Line(hingeGeometry, new THREE.LineBasicMaterial({ color: 0x2d3748 }));
+        this.ppPivot.add(hinge);
+
+        this.scene.add(this.ppPivot);
+    }
+
+    /**
+     * Shows or hides the profile plane along with the side views on it.
+     * @param {boolean} visible True to show the PP.
+     */
+    setProfilePlaneVisible(visible) {
+        this.ppPivot.visible = visible;
+        this.requestRender();
+    }
+
+    /**
+     * Whether the profile plane is shown. Topics only draw side views when it is.
+     * @returns {boolean} True if the PP is visible.
+     */
+    isProfilePlaneVisible() {
+        return !!(this.ppPivot && this.ppPivot.visible);
+    }
+
+    /**
+     * Switches between first-angle and third-angle projection. The reference planes stay
+     * put while the object moves to the other side of them: a half-turn about XY takes it
+     * from the first quadrant to the third, which puts the VP and HP between the observer
+     * and the object. The PP hinges the other way so the side view still lands beside the
+     * front view on the unfolded sheet.
+     * @param {('first'|'third')} systemId The projection system to use.
+     * @throws {Error} If the projection system is unknown.
+     */
+    setProjectionSystem(systemId) {
+        const system = PROJECTION_SYSTEMS[systemId];
+        if (!system) {
+            throw new Error(`Unknown projection system "${systemId}".`);
+        }
+        this.projectionSystem = system;
+        this.objectQuadrantRotation.setFromAxisAngle(
+            new THREE.Vector3(1, 0, 0),
+            system.id === 'third' ? Math.PI : 0
+        );
+        this.applyUnfold(this.unfoldProgress);
+        this.updateSideViewCamera();
+        this.updateCameraAspects();
+    }
+
+    /**
+     * Returns the active projection system.
+     * @returns {{id: string, name: string, standard: string, quadrant: string, sideView: string, ppHinge: number}}
+     *     The projection system descriptor.
+     */
+    getProjectionSystem() {
+        return this.projectionSystem;
+    }
+
+    /**
+     * Moves a point described for the first quadrant (height above HP, distance in front
+     * of VP) into the quadrant the active projection system puts the object in.
+     * @param {THREE.Vector3} point The point as seen in the first quadrant.
+     * @returns {THREE.Vector3} A new vector with the point's position in the scene.
+     */
+    toObjectQuadrant(point) {
+        return point.clone().applyQuaternion(this.objectQuadrantRotation);
+    }
+
+    /**
+     * Undoes toObjectQuadrant(): finds where a point in the scene would be if the object
+     * were in the first quadrant.
+     * @param {THREE.Vector3} point The point's position in the scene.
+     * @returns {THREE.Vector3} A new vector with the point as seen in the first quadrant.
+     */
+    fromObjectQuadrant(point) {
+        return point.clone().applyQuaternion(this.objectQuadrantRotation.clone().invert());
+    }
+
+    /**
+     * Moves an object modelled in the first quadrant into the quadrant the active
+     * projection system puts the object in, turning its orientation along with it.
+     * @param {THREE.Object3D} object The object to place.
+     */
+    placeInObjectQuadrant(object) {
+        object.position.applyQuaternion(this.objectQuadrantRotation);
+        object.quaternion.premultiply(this.objectQuadrantRotation);
+    }
+
+    /**
+     * Projects a point onto the profile plane.
+     * @param {THREE.Vector3} point The point in space.
+     * @returns {THREE.Vector3} The side view of the point, on the PP.
+     */
+    getSideView(point) {
+        return new THREE.Vector3(this.profilePlaneX, point.y, point.z);
     }
 
     /**
@@ -211,8 +857,16 @@ class SceneManager {
         const lineZ = new THREE.Line(geometryZ, axisMaterial);
         
         const axisLines = new THREE.Group();
-        axisLines.add(lineX, lineY, lineZ);
+        axisLines.add(lineX, lineY);
         this.scene.add(axisLines);
+
+        // The X axis is the reference line XY between the HP and VP
+        axisLines.add(this.labelManager.createLabel('X', pointsX[0]));
+        axisLines.add(this.labelManager.createLabel('Y', pointsX[1]));
+        this.labelManager.addAnchors(axisLines);
+
+        // The Z axis lies in the HP and folds with it
+        this.hpPivot.add(lineZ);
     }
 
     /**
@@ -236,7 +890,8 @@ class SceneManager {
     }
 
     /**
-     * Creates and adds axis labels (X, Y, Z) to the scene.
+     * Creates and adds the coordinate axis labels (Y, Z) to the scene. The ends of the X axis
+     * are labelled X and Y as the reference line instead.
      */
     createAxisLabels() {
         if (!this.font) return;
@@ -259,70 +914,461 @@ class SceneManager {
             return mesh;
         };
 
-        this.scene.add(createText('X', new THREE.Vector3(10.5, 0, 0)));
-        this.scene.add(createText('-X', new THREE.Vector3(-11.5, 0, 0)));
         this.scene.add(createText('Y', new THREE.Vector3(0, 10.5, 0)));
         this.scene.add(createText('-Y', new THREE.Vector3(0, -11, 0)));
-        this.scene.add(createText('Z', new THREE.Vector3(0, 0, 10.5)));
-        this.scene.add(createText('-Z', new THREE.Vector3(0, 0, -11)));
+        this.hpPivot.add(createText('Z', new THREE.Vector3(0, 0, 10.5)));
+        this.hpPivot.add(createText('-Z', new THREE.Vector3(0, 0, -11)));
+        this.requestRender();
     }
 
     /**
-     * Clears all objects from the simulation group, ensuring proper memory disposal.
+     * Clears all objects from the simulation layers, disposing the geometries, materials
+     * and textures of the objects and everything nested in them.
      */
     clearSimulation() {
-        while (this.simulationObjects.children.length > 0) {
-            const object = this.simulationObjects.children[0];
-            if (object.geometry) object.geometry.dispose();
-            if (object.material) {
-                if (Array.isArray(object.material)) {
-                    object.material.forEach(mat => mat.dispose());
-                } else {
-                    object.material.dispose();
-                }
+        this.interactionManager.releaseHighlights();
+        Object.values(this.layers).forEach(layer => {
+            while (layer.children.length > 0) {
+                const object = layer.children[0];
+                this.resourceTracker.untrack(object);
+                this.labelManager.removeAnchors(object);
+                layer.remove(object);
             }
-            this.simulationObjects.remove(object);
+        });
+        this.requestRender();
+    }
+
+    /**
+     * Removes one object from the simulation, disposing the resources that no other
+     * simulation object shares.
+     * @param {THREE.Object3D} object An object added with addToSimulation().
+     */
+    removeFromSimulation(object) {
+        this.interactionManager.onObjectRemoved(object);
+        this.resourceTracker.untrack(object);
+        this.labelManager.removeAnchors(object);
+        if (object.parent) {
+            object.parent.remove(object);
         }
+        this.requestRender();
     }
 
     /**
      * Adds a 3D object to the simulation group.
+     * The resources of the object and its descendants are tracked so that clearing the
+     * simulation disposes them, once each, however objects share them. Add children to a
+     * group before adding the group.
+     * Objects tagged with the plane they lie on follow that plane when the sheet is
+     * unfolded; untagged objects are treated as being in space and are hidden on the sheet.
      * @param {THREE.Object3D} object The object to add.
+     * @param {object} [options] Placement options.
+     * @param {('hp'|'vp'|'pp')} [options.plane] The reference plane the object lies on.
+     * @param {{name: string, description?: string}} [options.info] What the object is, shown in
+     *     its hover tooltip and in the info overlay when it is clicked.
      */
-    addToSimulation(object) {
-        this.simulationObjects.add(object);
+    addToSimulation(object, options = {}) {
+        const plane = options.plane || 'space';
+        const layer = this.layers[plane];
+        if (!layer) {
+            throw new Error(`Unknown projection plane "${plane}".`);
+        }
+        object.userData.plane = plane;
+        if (options.info) {
+            object.userData.info = options.info;
+        }
+        layer.add(object);
+        this.resourceTracker.track(object);
+        this.labelManager.addAnchors(object);
+        this.interactionManager.onObjectAdded(object);
+        this.requestRender();
+    }
+
+    /**
+     * Adds a textbook label next to a point, such as a' for the front view of A. Labels
+     * face the screen at a constant size and move clear of each other; they are cleared
+     * along with the rest of the simulation.
+     * @param {string} text The label text.
+     * @param {THREE.Vector3} position The labelled point.
+     * @param {object} [options] Placement options.
+     * @param {('hp'|'vp'|'pp')} [options.plane] The reference plane the point lies on; the label
+     *     follows it when unfolding and takes its colour.
+     * @param {string} [options.color] CSS colour overriding the plane's.
+     * @returns {THREE.Object3D} The label's anchor in the scene.
+     */
+    addLabel(text, position, options = {}) {
+        const anchor = this.labelManager.createLabel(text, position, options.color);
+        this.addToSimulation(anchor, { plane: options.plane });
+        return anchor;
+    }
+
+    /**
+     * Creates a line that can later be moved with updateLine() without allocating anything,
+     * so topics can build their objects once and update them as parameters change.
+     * @param {THREE.Vector3[]} points The vertices of the line; their number is fixed from here on.
+     * @param {object} [options] Appearance and placement options.
+     * @param {number} [options.color=0x555555] The line colour.
+     * @param {number} [options.linewidth=1] The line width.
+     * @param {boolean} [options.dashed=false] Draw the line dashed, as for projectors.
+     * @param {number} [options.dashSize=0.15] Length of the dashes of a dashed line.
+     * @param {number} [options.gapSize=0.1] Length of the gaps of a dashed line.
+     * @param {boolean} [options.closed=false] Join the last vertex back to the first, for outlines.
+     * @param {('hp'|'vp'|'pp')} [options.plane] The reference plane the line lies on.
+     * @param {{name: string, description?: string}} [options.info] What the line is, for its tooltip.
+     * @returns {THREE.Line} The line, already added to the simulation.
+     */
+    createLine(points, options = {}) {
+        const { color = 0x555555, linewidth = 1, dashed = false, dashSize = 0.15, gapSize = 0.1 } = options;
+        const material = dashed
+            ? new THREE.LineDashedMaterial({ color, linewidth, dashSize, gapSize })
+            : new THREE.LineBasicMaterial({ color, linewidth });
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const line = options.closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+        if (dashed) {
+            line.computeLineDistances();
+        }
+        this.addToSimulation(line, { plane: options.plane, info: options.info });
+        return line;
+    }
+
+    /**
+     * Creates a dashed projector between two points, in the grey used for projectors.
+     * @param {THREE.Vector3} from One end of the projector.
+     * @param {THREE.Vector3} to The other end.
+     * @param {object} [options] Options as for createLine().
+     * @returns {THREE.Line} The projector, already added to the simulation.
+     */
+    createProjector(from, to, options = {}) {
+        return this.createLine([from, to], { color: 0x888888, dashed: true, ...options });
+    }
+
+    /**
+     * Moves the vertices of a line made by createLine() or createProjector(), reusing its
+     * buffers. Dashes are laid out again so they stay the same size.
+     * @param {THREE.Line} line The line to update.
+     * @param {THREE.Vector3[]} points The new vertices, as many as the line was created with.
+     */
+    updateLine(line, points) {
+        const geometry = line.geometry;
+        const position = geometry.attributes.position;
+        points.forEach((point, i) => position.setXYZ(i, point.x, point.y, point.z));
+        position.needsUpdate = true;
+        geometry.computeBoundingSphere();
+
+        // Line.computeLineDistances() would allocate a new attribute every time
+        const distances = geometry.attributes.lineDistance;
+        if (distances) {
+            let total = 0;
+            distances.setX(0, 0);
+            for (let i = 1; i < position.count; i++) {
+                _lineStart.fromBufferAttribute(position, i - 1);
+                _lineEnd.fromBufferAttribute(position, i);
+                total += _lineStart.distanceTo(_lineEnd);
+                distances.setX(i, total);
+            }
+            distances.needsUpdate = true;
+        }
+        this.onObjectChanged(line);
+    }
+
+    /**
+     * Creates a spherical marker for a point.
+     * @param {THREE.Vector3} position Where the point is.
+     * @param {object} [options] Appearance and placement options.
+     * @param {number} [options.color=0xff0000] The marker colour.
+     * @param {number} [options.radius=0.2] The marker radius.
+     * @param {('hp'|'vp'|'pp')} [options.plane] The reference plane the point lies on.
+     * @param {{name: string, description?: string}} [options.info] What the point is, for its tooltip.
+     * @returns {THREE.Mesh} The marker, already added to the simulation.
+     */
+    createMarker(position, options = {}) {
+        const { color = 0xff0000, radius = 0.2 } = options;
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 16),
+            new THREE.MeshStandardMaterial({ color })
+        );
+        marker.position.copy(position);
+        this.addToSimulation(marker, { plane: options.plane, info: options.info });
+        return marker;
+    }
+
+    /**
+     * Moves a marker, label anchor or any other simulation object to a new position.
+     * @param {THREE.Object3D} object The object to move.
+     * @param {THREE.Vector3} position Its new position.
+     */
+    updateMarker(object, position) {
+        object.position.copy(position);
+        this.onObjectChanged(object);
+    }
+
+    /**
+     * Shows or hides simulation objects, such as the side views when the PP is toggled.
+     * @param {THREE.Object3D[]} objects The objects to show or hide.
+     * @param {boolean} visible True to show them.
+     */
+    setObjectsVisible(objects, visible) {
+        objects.forEach(object => {
+            object.visible = visible;
+        });
+        this.requestRender();
+    }
+
+    /**
+     * Changes the text of a label made by addLabel().
+     * @param {THREE.Object3D} anchor The label's anchor.
+     * @param {string} text The new text.
+     */
+    setLabelText(anchor, text) {
+        anchor.userData.label.text = text;
+        this.requestRender();
+    }
+
+    /**
+     * Recolours a marker or line, including the highlighted copy of its material while it
+     * is hovered or pinned.
+     * @param {THREE.Object3D} object The object to recolour.
+     * @param {THREE.ColorRepresentation} color The new colour.
+     */
+    setObjectColor(object, color) {
+        const original = object.userData.originalMaterial;
+        if (original) {
+            original.color.set(color);
+            if (object.material.emissive) {
+                object.material.color.set(color);
+            }
+        } else {
+            object.material.color.set(color);
+        }
+        this.onObjectChanged(object);
+    }
+
+    /**
+     * Called whenever a simulation object is changed in place, to keep its pinned details
+     * current and get the change on screen.
+     * @param {THREE.Object3D} object The changed object.
+     */
+    onObjectChanged(object) {
+        this.interactionManager.onObjectChanged(object);
+        this.requestRender();
+    }
+
+    /**
+     * Whether the HP is (or is being) unfolded into the VP.
+     * @returns {boolean} True if the scene is unfolded or unfolding.
+     */
+    isUnfolded() {
+        return this.unfoldAnimation ? this.unfoldAnimation.to === 1 : this.unfoldProgress === 1;
+    }
+
+    /**
+     * Folds or unfolds the HP about the XY line. Unfolding rotates the HP, and every
+     * object on it, by 90° so that top views land below XY and front views stay above it,
+     * giving the flat orthographic sheet. The PP swings out about X1Y1 in the same way so
+     * that side views land beside the front view. Folding reverses the rotation.
+     * @param {boolean} unfolded True to unfold into the 2D sheet, false to fold back to 3D.
+     * @param {boolean} [animate=true] Whether to animate the rotation.
+     * @returns {Promise<void>} A promise that resolves when the planes come to rest.
+     */
+    setUnfolded(unfolded, animate = true) {
+        const target = unfolded ? 1 : 0;
+
+        if (this.unfoldAnimation) {
+            this.cancelAnimation(this.unfoldAnimation);
+            this.unfoldAnimation = null;
+        }
+
+        if (!animate) {
+            this.applyUnfold(target);
+            return Promise.resolve();
+        }
+
+        const duration = 1200 * Math.abs(target - this.unfoldProgress);
+        const animation = this.animateValue({
+            from: this.unfoldProgress,
+            to: target,
+            duration,
+            onUpdate: (value) => this.applyUnfold(value)
+        });
+        this.unfoldAnimation = animation;
+        return animation.promise.then(() => {
+            if (this.unfoldAnimation === animation) {
+                this.unfoldAnimation = null;
+            }
+        });
+    }
+
+    /**
+     * Toggles between the folded 3D planes and the unfolded 2D sheet.
+     * @returns {Promise<void>} A promise that resolves when the planes come to rest.
+     */
+    toggleUnfold() {
+        return this.setUnfolded(!this.isUnfolded());
+    }
+
+    /**
+     * Poses the planes for a given unfold progress.
+     * @param {number} progress Unfold progress, from 0 (3D planes) to 1 (flat 2D sheet).
+     */
+    applyUnfold(progress) {
+        this.unfoldProgress = progress;
+        if (this.hpPivot) {
+            this.hpPivot.rotation.x = progress * Math.PI / 2;
+        }
+        if (this.ppPivot) {
+            this.ppPivot.rotation.y = this.projectionSystem.ppHinge * progress * Math.PI / 2;
+        }
+        // Objects in space have no place on the flat drawing sheet
+        this.layers.space.visible = progress < 1;
+        this.requestRender();
+    }
+
+    /**
+     * Animates a numeric value over time. The render loop advances every active animation.
+     * @param {object} params The animation parameters.
+     * @param {number} params.from The start value.
+     * @param {number} params.to The end value.
+     * @param {number} params.duration The duration in milliseconds.
+     * @param {function(number): void} params.onUpdate Called with the eased value every frame.
+     * @returns {{promise: Promise<void>, to: number}} The animation handle.
+     */
+    animateValue({ from, to, duration, onUpdate }) {
+        const animation = { from, to, duration, onUpdate, start: performance.now() };
+        animation.promise = new Promise(resolve => {
+            animation.resolve = resolve;
+        });
+        this.animations.push(animation);
+        this.requestRender();
+        return animation;
+    }
+
+    /**
+     * Stops an animation where it is. Its promise resolves immediately.
+     * @param {Object} animation The handle returned by animateValue().
+     */
+    cancelAnimation(animation) {
+        this.animations = this.animations.filter(item => item !== animation);
+        animation.resolve();
+    }
+
+    /**
+     * Advances all active animations, finishing those that have run their course.
+     * @param {number} now The current timestamp in milliseconds.
+     */
+    updateAnimations(now) {
+        if (this.animations.length === 0) return;
+
+        this.animations = this.animations.filter(animation => {
+            const linear = animation.duration > 0
+                ? Math.min((now - animation.start) / animation.duration, 1)
+                : 1;
+            const eased = easeInOutCubic(linear);
+            animation.onUpdate(animation.from + (animation.to - animation.from) * eased);
+            if (linear === 1) {
+                animation.resolve();
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Reports GPU memory use, for the debug panel: what the renderer holds and what the
+     * simulation's resource tracker holds.
+     * @returns {{geometries: number, textures: number, programs: number, calls: number, triangles: number, tracked: {geometries: number, materials: number, textures: number}}}
+     *     Renderer memory and last-frame counts, and the tracked resource counts.
+     */
+    getMemoryStats() {
+        const info = this.renderer.info;
+        return {
+            geometries: info.memory.geometries,
+            textures: info.memory.textures,
+            programs: info.programs ? info.programs.length : 0,
+            calls: info.render.calls,
+            triangles: info.render.triangles,
+            tracked: this.resourceTracker.getCounts()
+        };
     }
 
     /**
      * Handles window resize events to keep the viewport and camera aspect ratio correct.
      */
     onWindowResize() {
-        this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-        this.camera.updateProjectionMatrix();
+        this.updateCameraAspects();
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.requestRender();
     }
 
     /**
-     * The main animation loop. Renders the scene and updates controls.
+     * Asks for the scene to be rendered on the next animation frame. The scene is only
+     * rendered when something has changed, so topics that change objects in place (rather
+     * than through addToSimulation() or clearSimulation()) must call this afterwards.
+     * Any number of requests before the frame result in a single render.
      */
-    animate() {
-        if (!this.renderer || !this.scene || !this.camera) return;
-        
+    requestRender() {
+        if (this.animationFrameId !== null || this.contextLost) return;
         this.animationFrameId = requestAnimationFrame(() => this.animate());
-        
+    }
+
+    /**
+     * Renders one requested frame: advances animations, updates controls and renders the
+     * scene. Running animations and the damping of OrbitControls request the next frame.
+     */
+    animate() {
+        this.animationFrameId = null;
+        if (!this.renderer || !this.scene || !this.camera || this.contextLost) return;
+
+        this.updateAnimations(performance.now());
+
         if (this.controls) {
+            // Dispatches 'change', and so requests another frame, while the camera moves
             this.controls.update();
         }
-        
-        this.renderer.render(this.scene, this.camera);
+
+        this.render();
+
+        if (this.animations.length > 0) {
+            this.requestRender();
+        }
+    }
+
+    /**
+     * Renders the scene into each viewport of the current layout.
+     */
+    render() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const viewports = this.getViewports();
+
+        this.renderer.setScissorTest(viewports.length > 1);
+        viewports.forEach(viewport => {
+            // WebGL measures viewports from the bottom-left corner
+            const x = viewport.left * width;
+            const y = (1 - viewport.top - viewport.height) * height;
+            const w = viewport.width * width;
+            const h = viewport.height * height;
+            this.renderer.setViewport(x, y, w, h);
+            this.renderer.setScissor(x, y, w, h);
+            this.renderer.render(this.scene, viewport.camera);
+        });
+
+        this.labelManager.update();
     }
 
     /**
      * Cleans up resources to prevent memory leaks.
      */
     cleanup() {
-        if (this.animationFrameId) {
+        if (this.animationFrameId !== null) {
             cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        if (this.interactionManager) {
+            this.interactionManager.dispose();
+        }
+
+        if (this.labelManager) {
+            this.labelManager.dispose();
         }
 
         if (this.controls) {
@@ -330,6 +1376,8 @@ class SceneManager {
         }
 
         if (this.renderer) {
+            this.renderer.domElement.removeEventListener('webglcontextlost', this.onContextLost);
+            this.renderer.domElement.removeEventListener('webglcontextrestored', this.onContextRestored);
             this.renderer.dispose();
             if (this.renderer.domElement && this.renderer.domElement.parentNode) {
                 this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
@@ -339,6 +1387,8 @@ class SceneManager {
         // Clear references
         this.scene = null;
         this.camera = null;
+        this.perspectiveCamera = null;
+        this.orthographicCamera = null;
         this.renderer = null;
         this.controls = null;
     }
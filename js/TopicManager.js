@@ -5,6 +5,7 @@
 import WelcomeTopic from './topics/WelcomeTopic.js';
 import PointsProjection from './topics/PointsProjection.js';
 import LinesProjection from './topics/LinesProjection.js';
+import TwoLinesProjection from './topics/TwoLinesProjection.js';
 import PlanesProjection from './topics/PlanesProjection.js';
 
 /**
@@ -25,11 +26,14 @@ class TopicManager {
         this.uiManager = uiManager;
         /** @type {object|null} The currently active topic instance. */
         this.currentTopic = null;
+        /** @type {string|null} The identifier of the active topic. */
+        this.currentTopicId = null;
         /** @type {Object<string, object>} A map of available topic instances. */
         this.topics = {
             welcome: new WelcomeTopic(sceneManager, uiManager),
             points: new PointsProjection(sceneManager, uiManager),
             lines: new LinesProjection(sceneManager, uiManager),
+            twoLines: new TwoLinesProjection(sceneManager, uiManager),
             planes: new PlanesProjection(sceneManager, uiManager)
         };
     }
@@ -43,6 +47,7 @@ class TopicManager {
             { id: 'welcome', name: 'Welcome' },
             { id: 'points', name: 'Projections of Points' },
             { id: 'lines', name: 'Projections of Lines' },
+            { id: 'twoLines', name: 'Relative Positions of Two Lines' },
             { id: 'planes', name: 'Projections of Planes' }
         ];
 
@@ -55,6 +60,13 @@ class TopicManager {
                 this.loadTopic(topicId);
             });
         });
+
+        // Set up the projection system toggle
+        this.uiManager.setProjectionSystemState(this.sceneManager.getProjectionSystem());
+        this.uiManager.projectionToggle.addEventListener('click', () => {
+            const current = this.sceneManager.getProjectionSystem().id;
+            this.setProjectionSystem(current === 'first' ? 'third' : 'first');
+        });
     }
 
     /**
@@ -62,8 +74,10 @@ class TopicManager {
      * Cleans up the previous topic, clears the simulation, sets the active UI state,
      * and loads the new topic.
      * @param {string} topicId The identifier for the topic to load.
+     * @param {boolean} [reloaded=false] Whether the topic is being loaded again in place
+     *     rather than chosen; passed on with the topicChanged event.
      */
-    loadTopic(topicId) {
+    loadTopic(topicId, reloaded = false) {
         if (this.currentTopic && typeof this.currentTopic.cleanup === 'function') {
             this.currentTopic.cleanup();
         }
@@ -73,15 +87,52 @@ class TopicManager {
 
         if (this.topics[topicId]) {
             this.currentTopic = this.topics[topicId];
+            this.currentTopicId = topicId;
             this.currentTopic.load();
 
             // Dispatch a custom event to notify other parts of the app about the change
-            const event = new CustomEvent('topicChanged', { detail: { topic: topicId } });
+            const event = new CustomEvent('topicChanged', { detail: { topic: topicId, reloaded } });
             document.dispatchEvent(event);
         } else {
             console.error(`Topic with ID "${topicId}" not found.`);
         }
     }
+
+    /**
+     * Switches every topic to a projection system. The SceneManager moves the object to
+     * the system's quadrant and re-hinges the PP; the active topic is then redrawn so its
+     * views and labels follow.
+     * @param {('first'|'third')} systemId The projection system to use.
+     */
+    setProjectionSystem(systemId) {
+        this.sceneManager.setProjectionSystem(systemId);
+        this.uiManager.setProjectionSystemState(this.sceneManager.getProjectionSystem());
+        this.refreshTopic();
+
+        const event = new CustomEvent('projectionSystemChanged', { detail: { system: systemId } });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Redraws the active topic after a change to the shared viewing environment,
+     * such as showing or hiding the profile plane.
+     */
+    refreshTopic() {
+        if (this.currentTopic && typeof this.currentTopic.updateVisualization === 'function') {
+            this.currentTopic.updateVisualization();
+        }
+    }
+
+    /**
+     * Loads the active topic again from scratch. Topics keep their parameters between
+     * loads, so the topic comes back as it was; this rebuilds its scene objects after the
+     * WebGL context has been restored.
+     */
+    reloadTopic() {
+        if (this.currentTopicId) {
+            this.loadTopic(this.currentTopicId, true);
+        }
+    }
 }
 
 export default TopicManager;
@@ -17,6 +17,18 @@ class UIManager {
         this.loader = document.getElementById('loader');
         /** @type {HTMLElement} The container for informational text. */
         this.infoOverlay = document.getElementById('info-overlay');
+        /** @type {HTMLElement} The part of the info overlay written by the current topic. */
+        this.infoContent = document.getElementById('info-content');
+        /** @type {HTMLElement} The part of the info overlay showing the pinned scene object. */
+        this.pinnedInfo = document.getElementById('pinned-info');
+        /** @type {HTMLElement} The tooltip that follows the pointer over scene objects. */
+        this.sceneTooltip = document.getElementById('scene-tooltip');
+        /** @type {HTMLElement} The overlay that covers the canvas while it cannot be drawn. */
+        this.sceneMessage = document.getElementById('scene-message');
+        /** @type {HTMLElement} A dismissable notice shown over the bottom of the canvas. */
+        this.sceneNotice = document.getElementById('scene-notice');
+        /** @type {HTMLElement} The panel showing GPU memory use, for catching leaks. */
+        this.debugPanel = document.getElementById('debug-panel');
         /** @type {HTMLElement} The container for topic-specific controls like sliders. */
         this.topicControls = document.getElementById('topic-controls');
         /** @type {HTMLElement} The container for the list of topic buttons. */
@@ -25,6 +37,20 @@ class UIManager {
         this.sidebar = document.getElementById('sidebar');
         /** @type {HTMLElement} The button to toggle the mobile menu. */
         this.menuToggle = document.getElementById('menu-toggle');
+        /** @type {HTMLElement} The button that folds and unfolds the HP. */
+        this.unfoldToggle = document.getElementById('unfold-toggle');
+        /** @type {HTMLElement} The button that shows and hides the profile plane. */
+        this.profileToggle = document.getElementById('profile-toggle');
+        /** @type {HTMLElement} The button that switches the projection system. */
+        this.projectionToggle = document.getElementById('projection-toggle');
+        /** @type {HTMLElement} The button that switches between perspective and orthographic camera. */
+        this.cameraTypeToggle = document.getElementById('camera-type-toggle');
+        /** @type {HTMLElement} The group of viewport layout buttons. */
+        this.layoutButtons = document.getElementById('layout-buttons');
+        /** @type {HTMLElement} The layer that frames and captions the viewports. */
+        this.viewportFrames = document.getElementById('viewport-frames');
+        /** @type {HTMLElement} The container for the camera view buttons. */
+        this.cameraToolbar = document.getElementById('camera-toolbar');
     }
 
     /**
@@ -32,6 +58,9 @@ class UIManager {
      */
     init() {
         this.setupMobileMenu();
+        document.getElementById('scene-notice-close').addEventListener('click', () => {
+            this.sceneNotice.classList.add('hidden');
+        });
     }
 
     /**
@@ -102,7 +131,142 @@ class UIManager {
      * @param {string} html The HTML content to set for the overlay.
      */
     updateInfoOverlay(html) {
-        this.infoOverlay.innerHTML = html;
+        this.infoContent.innerHTML = html;
+    }
+
+    /**
+     * Covers the canvas with a message, for when the scene cannot be drawn.
+     * @param {string} message The message to show.
+     */
+    showSceneMessage(message) {
+        document.getElementById('scene-message-text').textContent = message;
+        this.sceneMessage.classList.remove('hidden');
+    }
+
+    /**
+     * Uncovers the canvas.
+     */
+    hideSceneMessage() {
+        this.sceneMessage.classList.add('hidden');
+    }
+
+    /**
+     * Shows a notice over the bottom of the canvas until the user dismisses it.
+     * @param {string} message The notice to show.
+     */
+    showNotice(message) {
+        document.getElementById('scene-notice-text').textContent = message;
+        this.sceneNotice.classList.remove('hidden');
+    }
+
+    /**
+     * Shows or hides the memory debug panel.
+     * @param {boolean} visible True to show the panel.
+     */
+    setDebugPanelVisible(visible) {
+        this.debugPanel.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Whether the memory debug panel is shown.
+     * @returns {boolean} True if the panel is visible.
+     */
+    isDebugPanelVisible() {
+        return !this.debugPanel.classList.contains('hidden');
+    }
+
+    /**
+     * Fills the memory debug panel. Each topic's counts are shown as they were on its
+     * earliest load and as they are now; counts that have grown since are
+     * highlighted, since switching back to a topic should not need more memory.
+     * @param {{geometries: number, textures: number, programs: number, calls: number, triangles: number, tracked: {geometries: number, materials: number, textures: number}}} stats
+     *     The current counts, from SceneManager.getMemoryStats().
+     * @param {Array<{id: string, loads: number, first: Object, latest: Object}>} topics Counts per topic.
+     */
+    updateDebugPanel(stats, topics) {
+        const cell = (first, latest) => {
+            const grown = latest > first;
+            return `<td class="px-1 text-right ${grown ? 'text-red-400 font-bold' : ''}">${first} → ${latest}</td>`;
+        };
+        const rows = topics.map(topic => `
+            <tr>
+                <td class="pr-2">${topic.id}</td>
+                <td class="px-1 text-right">${topic.loads}</td>
+                ${cell(topic.first.geometries, topic.latest.geometries)}
+                ${cell(topic.first.textures, topic.latest.textures)}
+                ${cell(topic.first.tracked.materials, topic.latest.tracked.materials)}
+            </tr>
+        `).join('');
+
+        this.debugPanel.innerHTML = `
+            <div class="font-bold mb-1">GPU memory (\` to close)</div>
+            <div>Geometries: ${stats.geometries} · Textures: ${stats.textures} · Programs: ${stats.programs}</div>
+            <div>Tracked: ${stats.tracked.geometries} geometries, ${stats.tracked.materials} materials, ${stats.tracked.textures} textures</div>
+            <div class="mb-2">Last pass: ${stats.calls} draw calls, ${stats.triangles} triangles</div>
+            <table>
+                <tr class="text-gray-400">
+                    <th class="pr-2 text-left">Topic</th><th class="px-1">Loads</th>
+                    <th class="px-1">Geometries</th><th class="px-1">Textures</th><th class="px-1">Materials</th>
+                </tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    /**
+     * Shows the tooltip for a scene object next to the pointer.
+     * @param {string} text The tooltip text.
+     * @param {number} clientX The horizontal client coordinate of the pointer.
+     * @param {number} clientY The vertical client coordinate of the pointer.
+     */
+    showTooltip(text, clientX, clientY) {
+        const rect = this.sceneTooltip.parentElement.getBoundingClientRect();
+        this.sceneTooltip.textContent = text;
+        this.sceneTooltip.style.left = `${clientX - rect.left + 14}px`;
+        this.sceneTooltip.style.top = `${clientY - rect.top + 14}px`;
+        this.sceneTooltip.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the scene object tooltip.
+     */
+    hideTooltip() {
+        this.sceneTooltip.classList.add('hidden');
+    }
+
+    /**
+     * Shows the details of the pinned scene object below the topic's info, or hides them.
+     * @param {{name: string, description: string, details: string[]}|null} object The pinned
+     *     object's description, or null to clear the pin.
+     */
+    setPinnedInfo(object) {
+        if (!object) {
+            this.pinnedInfo.innerHTML = '';
+            this.pinnedInfo.classList.add('hidden');
+            return;
+        }
+
+        // Names can come from the user, such as a renamed point, so they are set as text
+        this.pinnedInfo.innerHTML = `
+            <div class="flex justify-between items-start gap-2">
+                <strong></strong>
+                <button class="unpin-button pointer-events-auto text-gray-500 hover:text-gray-800" title="Unpin">✕</button>
+            </div>
+        `;
+        this.pinnedInfo.querySelector('strong').textContent = `📌 ${object.name}`;
+        const paragraph = (text, className) => {
+            const element = document.createElement('p');
+            if (className) {
+                element.className = className;
+            }
+            element.textContent = text;
+            this.pinnedInfo.appendChild(element);
+        };
+        if (object.description) {
+            paragraph(object.description, 'text-gray-600 mb-1');
+        }
+        object.details.forEach(line => paragraph(line));
+        this.pinnedInfo.classList.remove('hidden');
     }
 
     /**
@@ -148,6 +312,103 @@ class UIManager {
         }
     }
 
+    /**
+     * Creates the camera view buttons in the camera toolbar.
+     * @param {Array<{id: string, name: string, key: string}>} presets The camera views,
+     *     each with the keyboard shortcut that selects it.
+     */
+    createCameraButtons(presets) {
+        this.cameraToolbar.innerHTML = presets.map(preset => `
+            <button class="camera-button toolbar-button px-2 py-1 bg-white rounded-md shadow text-xs font-medium"
+                    data-view="${preset.id}" title="${preset.name} view (${preset.key})">
+                ${preset.name}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Reflects the active camera type on the camera type toggle.
+     * @param {('perspective'|'orthographic')} type The active camera type.
+     */
+    setCameraTypeState(type) {
+        this.cameraTypeToggle.classList.toggle('active', type === 'orthographic');
+    }
+
+    /**
+     * Marks the active viewport layout button.
+     * @param {('single'|'dual'|'quad')} layout The active layout.
+     */
+    setLayoutState(layout) {
+        this.layoutButtons.querySelectorAll('.layout-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layout === layout);
+        });
+    }
+
+    /**
+     * Frames and captions each viewport when the canvas is split into several.
+     * @param {Array<{name: string, left: number, top: number, width: number, height: number}>} viewports
+     *     The viewports, with rectangles as fractions of the canvas container.
+     */
+    setViewportFrames(viewports) {
+        if (viewports.length < 2) {
+            this.viewportFrames.innerHTML = '';
+            return;
+        }
+        this.viewportFrames.innerHTML = viewports.map(viewport => `
+            <div class="viewport-frame" style="left: ${viewport.left * 100}%; top: ${viewport.top * 100}%;
+                        width: ${viewport.width * 100}%; height: ${viewport.height * 100}%;">
+                <span class="viewport-caption">${viewport.name}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Reflects the fold state of the planes on the unfold toggle button.
+     * @param {boolean} unfolded True if the planes are unfolded into the 2D sheet.
+     */
+    setUnfoldState(unfolded) {
+        this.unfoldToggle.textContent = unfolded ? 'Fold to 3D' : 'Unfold to 2D';
+        this.unfoldToggle.classList.toggle('active', unfolded);
+    }
+
+    /**
+     * Reflects the visibility of the profile plane on its toggle button.
+     * @param {boolean} visible True if the PP and side views are shown.
+     */
+    setProfilePlaneState(visible) {
+        this.profileToggle.classList.toggle('active', visible);
+    }
+
+    /**
+     * Shows the active projection system and its ISO symbol on the projection toggle.
+     * @param {{id: string, name: string, standard: string}} system The active projection system.
+     */
+    setProjectionSystemState(system) {
+        this.projectionToggle.innerHTML = `
+            ${this.createProjectionSymbol(system.id)}
+            <span>${system.name} <span class="text-xs opacity-75">(${system.standard})</span></span>
+        `;
+    }
+
+    /**
+     * Generates the ISO 128 projection symbol: the front view and left view of a
+     * truncated cone, with the left view placed where the projection system puts it
+     * (to the right of the front view in first-angle, to the left in third-angle).
+     * @param {('first'|'third')} systemId The projection system.
+     * @returns {string} The SVG markup for the symbol.
+     */
+    createProjectionSymbol(systemId) {
+        const coneX = systemId === 'first' ? 2 : 26;
+        const circlesX = systemId === 'first' ? 38 : 12;
+        return `
+            <svg width="48" height="20" viewBox="0 0 48 20" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true">
+                <polygon points="${coneX},6 ${coneX + 18},1 ${coneX + 18},19 ${coneX},14"></polygon>
+                <circle cx="${circlesX}" cy="10" r="9"></circle>
+                <circle cx="${circlesX}" cy="10" r="4"></circle>
+            </svg>
+        `;
+    }
+
     /**
      * Displays an error message within the main info overlay.
      * @param {string} message The error message to display.
@@ -183,6 +444,27 @@ class UIManager {
             </div>
         `;
     }
+
+    /**
+     * Moves a slider to a value set from outside the slider itself (e.g. by dragging in
+     * the scene), snapping it to the slider's step and range and updating its label.
+     * @param {string} id The ID of the slider's input element.
+     * @param {number} value The requested value.
+     * @returns {number} The value the slider settled on.
+     */
+    setSliderValue(id, value) {
+        const slider = document.getElementById(id);
+        const min = parseFloat(slider.min);
+        const max = parseFloat(slider.max);
+        const step = parseFloat(slider.step) || 1;
+
+        const snapped = min + Math.round((value - min) / step) * step;
+        const clamped = parseFloat(Math.min(max, Math.max(min, snapped)).toFixed(6));
+
+        slider.value = clamped;
+        document.getElementById(`${id}-value`).textContent = clamped;
+        return clamped;
+    }
 }
 
 export default UIManager;
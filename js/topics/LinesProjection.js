@@ -4,6 +4,279 @@
 
 import * as THREE from '../../libs/three.module.js';
 
+/** @type {number} How many segments make up each angle arc. */
+const ARC_SEGMENTS = 24;
+
+/** @type {number} How far from end A a trace may be and still be drawn. */
+const TRACE_LIMIT = 30;
+
+/** @type {number} How long each step of the rotating-line construction takes to draw, in ms. */
+const STEP_DURATION = 1500;
+
+/** @type {number} How long playback rests on a finished step before the next, in ms. */
+const STEP_HOLD = 1500;
+
+/**
+ * @type {Array<{title: string, narration: function(Object<string, number>): string}>}
+ * The steps of the rotating-line method for the true length and θ, each narrated from
+ * the line's quantities.
+ */
+const CONSTRUCTION_STEPS = [
+    {
+        title: 'Start from the views',
+        narration: m => `The front view a'b' (${m.fv.toFixed(2)}) and the top view ab (${m.tv.toFixed(2)})
+            are both shorter than AB, because AB is inclined to both the HP and the VP.`
+    },
+    {
+        title: 'Rotate the top view',
+        narration: () => `Rotate ab about a until it is parallel to XY, to ab₁. This turns AB about a
+            vertical axis through A, so its top view keeps its length and B keeps its height.`
+    },
+    {
+        title: "Draw the locus of b'",
+        narration: () => `As B turns it stays at the same height above the HP, so b' can only move
+            along the line through b' parallel to XY: its locus.`
+    },
+    {
+        title: 'Project b₁ up',
+        narration: () => `Project b₁ up to the locus to find b₁', the front view of B in its new position.`
+    },
+    {
+        title: "Join a'b₁'",
+        narration: m => `AB₁ is now parallel to the VP, so a'b₁' is the true length, TL = ${m.tl.toFixed(2)},
+            and its angle with XY is the true inclination to the HP, θ = ${m.theta.toFixed(1)}°.`
+    }
+];
+
+/**
+ * @typedef {Object} LineGiven
+ * @property {string} id The key of the quantity.
+ * @property {string} label The name of the quantity as exam questions put it.
+ * @property {number} value The value offered when the quantity is first ticked.
+ * @property {boolean} [angle] Whether the quantity is an angle in degrees, from 0° to 90°.
+ * @property {boolean} [signed] Whether the quantity may be negative.
+ * @property {function(number, THREE.Vector3): number[]} equation The quantity as a linear
+ *     equation [a, b, c, d] meaning a·Δx² + b·Δy² + c·Δz² = d, given its value and end A.
+ */
+
+/**
+ * @type {LineGiven[]} The quantities a textbook question may give about a line. Each fixes
+ * one linear relation between the squares of the line's extents along X, Y and Z, so any
+ * three independent ones fix the line.
+ */
+const LINE_GIVENS = [
+    { id: 'tl', label: 'True length (TL)', value: 7, equation: v => [1, 1, 1, v * v] },
+    { id: 'theta', label: 'Inclination to HP (θ)', value: 30, angle: true, equation: v => inclinationEquation(v, 1) },
+    { id: 'phi', label: 'Inclination to VP (φ)', value: 45, angle: true, equation: v => inclinationEquation(v, 2) },
+    { id: 'fv', label: 'Length of front view', value: 6, equation: v => [1, 1, 0, v * v] },
+    { id: 'tv', label: 'Length of top view', value: 6, equation: v => [1, 0, 1, v * v] },
+    { id: 'alpha', label: 'Front view with XY (α)', value: 35, angle: true, equation: v => apparentAngleEquation(v, 1) },
+    { id: 'beta', label: 'Top view with XY (β)', value: 50, angle: true, equation: v => apparentAngleEquation(v, 2) },
+    { id: 'projectors', label: 'Distance between end projectors', value: 4, equation: v => [1, 0, 0, v * v] },
+    { id: 'hB', label: 'End B above HP', value: 5.5, signed: true, equation: (v, a) => [0, 1, 0, (v - a.y) ** 2] },
+    { id: 'dB', label: 'End B in front of VP', value: 6, signed: true, equation: (v, a) => [0, 0, 1, (v - a.z) ** 2] }
+];
+
+/**
+ * Writes the line's true inclination to HP (axis 1) or VP (axis 2) as an equation:
+ * sin² of the angle is that extent squared over the true length squared.
+ * @param {number} degrees The inclination.
+ * @param {number} axis 1 for the HP, 2 for the VP.
+ * @returns {number[]} The equation [a, b, c, d].
+ */
+function inclinationEquation(degrees, axis) {
+    const sin2 = Math.sin(THREE.MathUtils.degToRad(degrees)) ** 2;
+    const row = [-sin2, -sin2, -sin2, 0];
+    row[axis] = 1 - sin2;
+    return row;
+}
+
+/**
+ * Writes the angle the front view (axis 1) or top view (axis 2) makes with XY as an
+ * equation: tan² of the angle is that extent squared over Δx².
+ * @param {number} degrees The apparent angle.
+ * @param {number} axis 1 for the front view, 2 for the top view.
+ * @returns {number[]} The equation [a, b, c, d].
+ */
+function apparentAngleEquation(degrees, axis) {
+    const radians = THREE.MathUtils.degToRad(degrees);
+    const row = [-(Math.sin(radians) ** 2), 0, 0, 0];
+    row[axis] = Math.cos(radians) ** 2;
+    return row;
+}
+
+/**
+ * Computes the determinant of a 3×3 matrix.
+ * @param {number[][]} m The matrix, by rows.
+ * @returns {number} The determinant.
+ */
+function determinant(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+        - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+        + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+/**
+ * Works out the line from three given quantities, or explains why they do not make one.
+ * @param {Array<{given: LineGiven, value: number}>} givens The ticked quantities and their values.
+ * @param {THREE.Vector3} start End A, in the first quadrant.
+ * @returns {{offset: THREE.Vector3}|{error: string}} The offset from end A to end B, with
+ *     B to the right of A, or the reason the givens do not fix a line.
+ */
+function solveLine(givens, start) {
+    if (givens.length !== 3) {
+        return { error: `Tick exactly three givens; ${givens.length} ticked.` };
+    }
+
+    for (const { given, value } of givens) {
+        if (!Number.isFinite(value)) return { error: `Enter a value for ${given.label}.` };
+        if (given.angle && (value < 0 || value > 90)) return { error: `${given.label} must be from 0° to 90°.` };
+        if (!given.signed && value < 0) return { error: `${given.label} cannot be negative.` };
+    }
+
+    const values = Object.fromEntries(givens.map(({ given, value }) => [given.id, value]));
+    if (values.theta !== undefined && values.phi !== undefined && values.theta + values.phi > 90) {
+        return { error: `θ + φ = ${values.theta + values.phi}°, but no line can be inclined to HP and VP by more than 90° together.` };
+    }
+    for (const view of ['fv', 'tv']) {
+        if (values.tl !== undefined && values[view] > values.tl) {
+            return { error: `The ${view === 'fv' ? 'front' : 'top'} view cannot be longer than the true length.` };
+        }
+    }
+
+    // Scale each equation so the singularity test does not depend on the units
+    const rows = givens.map(({ given, value }) => {
+        const row = given.equation(value, start);
+        const scale = Math.max(...row.slice(0, 3).map(Math.abs)) || 1;
+        return row.map(term => term / scale);
+    });
+    const matrix = rows.map(row => row.slice(0, 3));
+    const det = determinant(matrix);
+    if (Math.abs(det) < 1e-9) {
+        return { error: 'These givens do not fix the line: one of them follows from the others. Replace one with a different given.' };
+    }
+
+    // Cramer's rule for Δx², Δy² and Δz²
+    const squares = [0, 1, 2].map(column => determinant(
+        matrix.map((row, i) => row.map((term, j) => (j === column ? rows[i][3] : term)))
+    ) / det);
+    const tolerance = 1e-9 * Math.max(1, ...squares.map(Math.abs));
+    const imaginary = [
+        'the end projectors would be an imaginary distance apart',
+        'the ends would differ in height above HP by an imaginary amount',
+        'the ends would differ in distance in front of VP by an imaginary amount'
+    ];
+    const negative = squares.findIndex(square => square < -tolerance);
+    if (negative !== -1) {
+        return { error: `These givens are inconsistent: ${imaginary[negative]}.` };
+    }
+
+    const [dx, dy, dz] = squares.map(square => Math.sqrt(Math.max(0, square)));
+    if (Math.hypot(dx, dy, dz) < 1e-6) {
+        return { error: 'These givens make a line of zero length. Include at least one length.' };
+    }
+
+    // The ends' heights and distances, when given, decide which way the line runs
+    return {
+        offset: new THREE.Vector3(
+            dx,
+            values.hB !== undefined ? values.hB - start.y : dy,
+            values.dB !== undefined ? values.dB - start.z : dz
+        )
+    };
+}
+
+/**
+ * Finds where a line, extended, meets the HP (axis 'y') or the VP (axis 'z').
+ * @param {THREE.Vector3} start End A, in the first quadrant.
+ * @param {THREE.Vector3} offset The offset from end A to end B.
+ * @param {('y'|'z')} axis The axis the plane is at zero on.
+ * @returns {{t: number, point: THREE.Vector3}|{parallel: true, inPlane: boolean}} The trace and
+ *     how far along AB it is (0 at A, 1 at B), or why there is none.
+ */
+function findTrace(start, offset, axis) {
+    if (Math.abs(offset[axis]) < 1e-6) {
+        return { parallel: true, inPlane: Math.abs(start[axis]) < 1e-6 };
+    }
+
+    const t = -start[axis] / offset[axis];
+    const point = start.clone().addScaledVector(offset, t);
+    point[axis] = 0;
+    return { t, point };
+}
+
+/**
+ * Names the quadrant a point is in, or the plane it lies on.
+ * @param {THREE.Vector3} point The point, as placed in the scene.
+ * @returns {string} The quadrant or plane.
+ */
+function getQuadrant(point) {
+    const above = Math.abs(point.y) < 1e-6 ? 0 : Math.sign(point.y);
+    const front = Math.abs(point.z) < 1e-6 ? 0 : Math.sign(point.z);
+    if (!above && !front) return 'On XY';
+    if (!above) return front > 0 ? 'In the HP, in front of VP' : 'In the HP, behind VP';
+    if (!front) return above > 0 ? 'In the VP, above HP' : 'In the VP, below HP';
+    if (above > 0) return front > 0 ? '1st Quadrant' : '2nd Quadrant';
+    return front > 0 ? '4th Quadrant' : '3rd Quadrant';
+}
+
+/**
+ * Classifies a line by how it lies relative to the HP and VP.
+ * @param {THREE.Vector3} start End A, in the first quadrant.
+ * @param {THREE.Vector3} offset The offset from end A to end B.
+ * @returns {{type: string, liesIn: string|null}} The kind of line, and the plane or line
+ *     it lies in, if any.
+ */
+function classifyLine(start, offset) {
+    const zero = value => Math.abs(value) < 1e-6;
+    const end = start.clone().add(offset);
+    const inHP = zero(start.y) && zero(end.y);
+    const inVP = zero(start.z) && zero(end.z);
+    const liesIn = (inHP && inVP && 'XY') || (inHP && 'HP') || (inVP && 'VP') || null;
+    const [alongX, alongY, alongZ] = offset.toArray().map(value => !zero(value));
+
+    let type;
+    if (!alongY && !alongZ) type = 'Parallel to both HP and VP (perpendicular to the PP)';
+    else if (!alongX && !alongZ) type = 'Perpendicular to the HP (parallel to the VP)';
+    else if (!alongX && !alongY) type = 'Perpendicular to the VP (parallel to the HP)';
+    else if (!alongX) type = 'Profile line: in a profile plane, inclined to both HP and VP';
+    else if (!alongY) type = 'Parallel to the HP, inclined to the VP';
+    else if (!alongZ) type = 'Parallel to the VP, inclined to the HP';
+    else type = 'Inclined to both HP and VP (oblique)';
+
+    return { type, liesIn };
+}
+
+/**
+ * Measures every quantity in LINE_GIVENS for a line.
+ * @param {THREE.Vector3} start End A, in the first quadrant.
+ * @param {THREE.Vector3} offset The offset from end A to end B.
+ * @returns {Object<string, number>} The quantities, keyed by their LINE_GIVENS ids. α or β
+ *     is NaN when its view is only a point.
+ */
+function measureLine(start, offset) {
+    const dx = Math.abs(offset.x);
+    const dy = Math.abs(offset.y);
+    const dz = Math.abs(offset.z);
+    const tl = offset.length();
+    const fv = Math.hypot(dx, dy);
+    const tv = Math.hypot(dx, dz);
+    const degrees = THREE.MathUtils.radToDeg;
+
+    return {
+        tl,
+        theta: degrees(Math.asin(dy / tl)),
+        phi: degrees(Math.asin(dz / tl)),
+        fv,
+        tv,
+        alpha: fv > 1e-6 ? degrees(Math.atan2(dy, dx)) : NaN,
+        beta: tv > 1e-6 ? degrees(Math.atan2(dz, dx)) : NaN,
+        projectors: dx,
+        hB: start.y + offset.y,
+        dB: start.z + offset.z
+    };
+}
+
 /**
  * @class LinesProjection
  * @classdesc A topic module for visualizing the orthographic projection of a line in 3D space.
@@ -20,17 +293,43 @@ class LinesProjection {
         /** @type {UIManager} Reference to the UIManager. */
         this.uiManager = uiManager;
         /**
-         * @type {{x1: number, y1: number, z1: number, length: number, theta: number, phi: number}}
-         * The parameters for the line, including start point, length, and angles.
+         * @type {{x1: number, y1: number, z1: number, x2: number, y2: number, z2: number,
+         *     length: number, theta: number, phi: number, mode: string}}
+         * The parameters for the line: its ends, its length and angles, and whether it is
+         * set by the length and angles, by both ends, or solved from the givens.
          */
         this.params = {
             x1: 2,
             y1: 2,
             z1: 1,
+            x2: 7,
+            y2: 5,
+            z2: 4,
             length: 6,
             theta: 30, // Angle with HP
-            phi: 45    // Angle with VP
+            phi: 45,   // Angle with VP
+            mode: 'angles'
         };
+        /**
+         * @type {Object<string, {ticked: boolean, value: number}>}
+         * The solver's givens, keyed by their LINE_GIVENS ids. TL, θ and φ start ticked.
+         */
+        this.givens = Object.fromEntries(LINE_GIVENS.map(given => [given.id, {
+            ticked: ['tl', 'theta', 'phi'].includes(given.id),
+            value: given.value
+        }]));
+        /** @type {Object} The line, its front and top views, projectors, end markers and labels. */
+        this.objects = {};
+        /** @type {Object} The side view, its labels and projectors, shown with the PP. */
+        this.sideViewObjects = {};
+        /**
+         * @type {{step: number, progress: number, run: Object|null, animation: Object|null}}
+         * How far the rotating-line construction has got: the step shown (0 before it
+         * starts), how much of that step is drawn, and the playback and animation under way.
+         */
+        this.construction = { step: 0, progress: 1, run: null, animation: null };
+        /** @type {{frontEnds: THREE.Vector3[], topEnds: THREE.Vector3[]}|null} The views as last drawn. */
+        this.views = null;
     }
 
     /**
@@ -38,6 +337,7 @@ class LinesProjection {
      */
     load() {
         this.createControls();
+        this.createObjects();
         this.updateVisualization();
     }
 
@@ -47,8 +347,13 @@ class LinesProjection {
     createControls() {
         const html = `
             <h3 class="text-md font-semibold mb-3 text-slate-800">Line Projection Controls</h3>
+            <div id="line-mode-buttons" class="flex rounded-md shadow overflow-hidden mb-4">
+                <button class="line-mode-button toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-mode="angles">Length &amp; Angles</button>
+                <button class="line-mode-button toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-mode="endpoints">Endpoints</button>
+                <button class="line-mode-button toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-mode="solver">Solver</button>
+            </div>
             <div class="bg-slate-50 p-3 rounded-lg mb-4">
-                <h4 class="text-sm font-semibold mb-2 text-slate-700">Starting Point</h4>
+                <h4 class="text-sm font-semibold mb-2 text-slate-700">Starting Point (End A)</h4>
                 ${this.uiManager.createSlider({
                     id: 'x1-slider',
                     label: 'Start X',
@@ -73,7 +378,8 @@ class LinesProjection {
                     value: this.params.z1,
                     step: 0.5
                 })}
-                
+
+                <div id="line-angles-controls">
                 <h4 class="text-sm font-semibold mb-2 mt-4 text-slate-700">Line Properties</h4>
                 ${this.uiManager.createSlider({
                     id: 'length-slider',
@@ -99,7 +405,57 @@ class LinesProjection {
                     value: this.params.phi,
                     step: 5
                 })}
+                </div>
+
+                <div id="line-endpoints-controls">
+                <h4 class="text-sm font-semibold mb-2 mt-4 text-slate-700">End B</h4>
+                ${this.uiManager.createSlider({
+                    id: 'x2-slider',
+                    label: 'End X',
+                    min: -8,
+                    max: 8,
+                    value: this.params.x2,
+                    step: 0.5
+                })}
+                ${this.uiManager.createSlider({
+                    id: 'y2-slider',
+                    label: 'End Y',
+                    min: -8,
+                    max: 8,
+                    value: this.params.y2,
+                    step: 0.5
+                })}
+                ${this.uiManager.createSlider({
+                    id: 'z2-slider',
+                    label: 'End Z',
+                    min: -8,
+                    max: 8,
+                    value: this.params.z2,
+                    step: 0.5
+                })}
+                </div>
+
+                <div id="line-solver-controls">
+                <h4 class="text-sm font-semibold mb-2 mt-4 text-slate-700">Givens</h4>
+                <p class="text-xs text-slate-600 mb-2">Tick any three quantities from the question.</p>
+                ${LINE_GIVENS.map(given => this.createGivenInput(given)).join('')}
+                </div>
             </div>
+            <div class="bg-amber-50 border border-amber-200 p-3 rounded-lg mb-4">
+                <h4 class="text-sm font-semibold mb-1 text-amber-800">Rotating-Line Method</h4>
+                <p class="text-xs text-amber-700 mb-2">Find the true length and θ from the front and top views.</p>
+                <div class="flex gap-1">
+                    <button id="construction-back" class="toolbar-button px-2 py-1 bg-white rounded-md shadow text-sm" title="Previous step">⏮</button>
+                    <button id="construction-play" class="toolbar-button flex-1 px-2 py-1 bg-white rounded-md shadow text-sm font-medium">Play</button>
+                    <button id="construction-next" class="toolbar-button px-2 py-1 bg-white rounded-md shadow text-sm" title="Next step">⏭</button>
+                    <button id="construction-reset" class="toolbar-button px-2 py-1 bg-white rounded-md shadow text-sm" title="Clear the construction">✕</button>
+                </div>
+                <div id="construction-status" class="text-xs text-amber-700 mt-2"></div>
+            </div>
+            <p class="text-xs text-slate-600 mb-4">
+                <b>Tip:</b> Drag either end of the line in the scene. Hold Shift, Ctrl or Alt
+                to move it along X, Y or Z only.
+            </p>
             <div class="bg-green-50 border border-green-200 p-3 rounded-lg text-sm">
                 <p class="font-semibold text-green-800">Legend:</p>
                 <div class="mt-2 space-y-1">
@@ -115,163 +471,971 @@ class LinesProjection {
                         <span class="inline-block w-4 h-1 bg-blue-600 mr-2"></span>
                         <span class="text-green-700">Top View</span>
                     </div>
+                    <div class="flex items-center">
+                        <span class="inline-block w-4 h-1 bg-purple-600 mr-2"></span>
+                        <span class="text-green-700">Side View (with PP on)</span>
+                    </div>
                 </div>
             </div>
         `;
 
         this.uiManager.setControls(html);
         this.attachEventListeners();
+        this.showMode();
+        this.showConstructionState();
+    }
+
+    /**
+     * Creates the tick box and value field for one of the solver's givens.
+     * @param {LineGiven} given The quantity.
+     * @returns {string} The HTML for the given.
+     */
+    createGivenInput(given) {
+        const { ticked, value } = this.givens[given.id];
+        return `
+            <div class="flex items-center gap-2 mb-1 text-sm">
+                <input type="checkbox" id="given-${given.id}-toggle" ${ticked ? 'checked' : ''}
+                       class="h-4 w-4 text-indigo-600 rounded">
+                <label for="given-${given.id}-toggle" class="flex-1 text-slate-700">${given.label}</label>
+                <input type="number" id="given-${given.id}-value" value="${value}" step="${given.angle ? 5 : 0.5}"
+                       ${given.angle ? 'min="0" max="90"' : (given.signed ? '' : 'min="0"')}
+                       class="w-20 px-2 py-0.5 border border-slate-300 rounded text-right">
+            </div>
+        `;
     }
 
     /**
      * Attaches event listeners to the UI controls.
      */
     attachEventListeners() {
-        ['x1', 'y1', 'z1', 'length', 'theta', 'phi'].forEach(param => {
+        ['x1', 'y1', 'z1', 'x2', 'y2', 'z2', 'length', 'theta', 'phi'].forEach(param => {
             const slider = document.getElementById(`${param}-slider`);
             const valueLabel = document.getElementById(`${param}-slider-value`);
             
             slider.addEventListener('input', (e) => {
                 this.params[param] = parseFloat(e.target.value);
                 valueLabel.textContent = this.params[param];
+                if (param === 'theta' || param === 'phi') {
+                    this.balanceAngles(param);
+                }
+                this.updateVisualization();
+            });
+        });
+
+        document.querySelectorAll('.line-mode-button').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.mode === 'endpoints' && this.params.mode !== 'endpoints') {
+                    this.moveEndBToLine();
+                }
+                this.params.mode = button.dataset.mode;
+                this.showMode();
+                this.updateVisualization();
+            });
+        });
+
+        document.getElementById('construction-play').addEventListener('click', () => {
+            if (this.construction.run) {
+                this.pauseConstruction();
+            } else {
+                this.playConstruction();
+            }
+        });
+        document.getElementById('construction-back').addEventListener('click', () => this.stepConstruction(-1));
+        document.getElementById('construction-next').addEventListener('click', () => this.stepConstruction(1));
+        document.getElementById('construction-reset').addEventListener('click', () => this.goToConstructionStep(0));
+
+        LINE_GIVENS.forEach(({ id }) => {
+            document.getElementById(`given-${id}-toggle`).addEventListener('change', (e) => {
+                this.givens[id].ticked = e.target.checked;
                 this.updateVisualization();
             });
+            document.getElementById(`given-${id}-value`).addEventListener('input', (e) => {
+                this.givens[id].value = parseFloat(e.target.value);
+                this.updateVisualization();
+            });
+        });
+    }
+
+    /**
+     * Shows the controls for the current mode and highlights its button.
+     */
+    showMode() {
+        const mode = this.params.mode;
+        document.querySelectorAll('.line-mode-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
         });
+        document.getElementById('line-angles-controls').classList.toggle('hidden', mode !== 'angles');
+        document.getElementById('line-endpoints-controls').classList.toggle('hidden', mode !== 'endpoints');
+        document.getElementById('line-solver-controls').classList.toggle('hidden', mode !== 'solver');
+    }
+
+    /**
+     * Sets end B's sliders to where the line currently ends, so that switching to the
+     * endpoints mode starts from the same line.
+     */
+    moveEndBToLine() {
+        const start = new THREE.Vector3(this.params.x1, this.params.y1, this.params.z1);
+        const { offset } = this.getEndOffset(start);
+        if (!offset) return;
+
+        const end = start.add(offset);
+        ['x', 'y', 'z'].forEach(axis => {
+            this.params[`${axis}2`] = this.uiManager.setSliderValue(`${axis}2-slider`, end[axis]);
+        });
+    }
+
+    /**
+     * Plays the rotating-line construction from where it is, or from the start once it has
+     * finished, drawing each step and resting on it before going on.
+     * @returns {Promise<void>} A promise that resolves when playback finishes or is paused.
+     */
+    async playConstruction() {
+        const construction = this.construction;
+        if (construction.step === CONSTRUCTION_STEPS.length && construction.progress === 1) {
+            this.goToConstructionStep(0);
+        }
+
+        const run = {};
+        construction.run = run;
+        this.showConstructionState();
+
+        while (construction.run === run) {
+            if (construction.progress === 1) {
+                if (construction.step === CONSTRUCTION_STEPS.length) break;
+                this.goToConstructionStep(construction.step + 1, 0);
+            }
+            await this.animateConstructionStep();
+            if (construction.run !== run) return;
+            if (construction.step < CONSTRUCTION_STEPS.length) {
+                await new Promise(resolve => setTimeout(resolve, STEP_HOLD));
+            }
+        }
+
+        if (construction.run === run) {
+            construction.run = null;
+            this.showConstructionState();
+        }
+    }
+
+    /**
+     * Pauses the rotating-line construction part way through a step.
+     */
+    pauseConstruction() {
+        this.stopConstruction();
+        this.showConstructionState();
+    }
+
+    /**
+     * Stops the construction's playback and any step being drawn.
+     */
+    stopConstruction() {
+        this.construction.run = null;
+        if (this.construction.animation) {
+            this.sceneManager.cancelAnimation(this.construction.animation);
+            this.construction.animation = null;
+        }
+    }
+
+    /**
+     * Moves the rotating-line construction one step on, drawing the next step, or one
+     * step back, showing the previous step finished.
+     * @param {number} direction 1 to go on, -1 to go back.
+     */
+    stepConstruction(direction) {
+        const { step, progress } = this.construction;
+        this.pauseConstruction();
+
+        if (direction < 0) {
+            this.goToConstructionStep(Math.max(0, step - 1));
+        } else if (progress < 1) {
+            this.goToConstructionStep(step);
+        } else if (step < CONSTRUCTION_STEPS.length) {
+            this.goToConstructionStep(step + 1, 0);
+            this.animateConstructionStep();
+        }
     }
 
     /**
-     * Updates the 3D visualization based on the current parameters.
+     * Shows a step of the rotating-line construction, with its narration.
+     * @param {number} step The step, from 1, or 0 to clear the construction.
+     * @param {number} [progress=1] How much of the step to draw, from 0 to 1.
+     */
+    goToConstructionStep(step, progress = 1) {
+        if (step === 0) {
+            this.pauseConstruction();
+        }
+        this.construction.step = step;
+        this.construction.progress = progress;
+        this.showConstructionState();
+        this.updateVisualization();
+    }
+
+    /**
+     * Draws the rest of the current step of the rotating-line construction.
+     * @returns {Promise<void>} A promise that resolves when the step is drawn or paused.
+     */
+    animateConstructionStep() {
+        const construction = this.construction;
+        const animation = this.sceneManager.animateValue({
+            from: construction.progress,
+            to: 1,
+            duration: STEP_DURATION * (1 - construction.progress),
+            onUpdate: (progress) => {
+                construction.progress = progress;
+                this.updateConstruction();
+            }
+        });
+        construction.animation = animation;
+
+        return animation.promise.then(() => {
+            if (construction.animation === animation) {
+                construction.animation = null;
+            }
+        });
+    }
+
+    /**
+     * Updates the construction's play button and step counter.
+     */
+    showConstructionState() {
+        const { step, run } = this.construction;
+        document.getElementById('construction-play').textContent = run ? 'Pause' : 'Play';
+        document.getElementById('construction-status').textContent = step
+            ? `Step ${step} of ${CONSTRUCTION_STEPS.length}: ${CONSTRUCTION_STEPS[step - 1].title}`
+            : 'Press Play, or step through the construction.';
+    }
+
+    /**
+     * Keeps θ + φ within 90°, which no line can exceed, by lowering the other angle when
+     * one is raised too far.
+     * @param {('theta'|'phi')} kept The angle to keep as it is.
+     * @returns {boolean} Whether the other angle had to change.
+     */
+    balanceAngles(kept) {
+        if (this.params.theta + this.params.phi <= 90) return false;
+
+        const other = kept === 'theta' ? 'phi' : 'theta';
+        this.params[other] = this.uiManager.setSliderValue(`${other}-slider`, 90 - this.params[kept]);
+        return true;
+    }
+
+    /**
+     * Moves the whole line when its start point is dragged in the scene.
+     * @param {THREE.Vector3} position The requested position of the start point.
+     */
+    onStartDragged(position) {
+        const start = this.sceneManager.fromObjectQuadrant(position);
+        this.applyDraggedParams({ x1: start.x, y1: start.y, z1: start.z });
+    }
+
+    /**
+     * Swings and stretches the line about its start point when its end point is dragged
+     * in the scene, working back to the length and angles that put the end there, or
+     * simply moving end B in the endpoints mode. In the solver the givens fix the end, so
+     * it stays put.
+     * The length and angles only reach ends to the right of, above and in front of A, so
+     * the end follows the nearest such point to the cursor: each offset from A that
+     * points the other way is taken as zero.
+     * @param {THREE.Vector3} position The requested position of the end point.
+     */
+    onEndDragged(position) {
+        if (this.params.mode === 'solver') return;
+
+        const end = this.sceneManager.fromObjectQuadrant(position);
+        if (this.params.mode === 'endpoints') {
+            this.applyDraggedParams({ x2: end.x, y2: end.y, z2: end.z });
+            return;
+        }
+
+        const dx = Math.max(0, end.x - this.params.x1);
+        const dy = Math.max(0, end.y - this.params.y1);
+        const dz = Math.max(0, end.z - this.params.z1);
+        const length = Math.hypot(dx, dy, dz);
+        if (length === 0) return;
+
+        this.applyDraggedParams({
+            length,
+            theta: THREE.MathUtils.radToDeg(Math.asin(dy / length)),
+            phi: THREE.MathUtils.radToDeg(Math.asin(dz / length))
+        });
+    }
+
+    /**
+     * Applies parameters set by dragging, snapping them through their sliders, and
+     * redraws if anything changed.
+     * @param {Object<string, number>} values The requested parameter values.
+     */
+    applyDraggedParams(values) {
+        let changed = false;
+        Object.entries(values).forEach(([param, value]) => {
+            const applied = this.uiManager.setSliderValue(`${param}-slider`, value);
+            changed = changed || applied !== this.params[param];
+            this.params[param] = applied;
+        });
+        if (values.theta !== undefined) {
+            changed = this.balanceAngles('theta') || changed;
+        }
+
+        if (changed) {
+            this.updateVisualization();
+        }
+    }
+
+    /**
+     * Creates the line, its views, projectors, end markers and labels once.
+     * updateVisualization() then moves them into place whenever the parameters change.
+     */
+    createObjects() {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        const ends = [origin, origin];
+
+        this.objects = {
+            // Main Line (Red)
+            line: sm.createLine(ends, {
+                color: 0xff0000,
+                linewidth: 3,
+                info: { name: 'Line AB', description: 'The line in space, seen in its true length.' }
+            }),
+            // Front View (Green) - projection on VP
+            frontLine: sm.createLine(ends, {
+                color: 0x00ff00,
+                linewidth: 2,
+                plane: 'vp',
+                info: { name: "Front view a'b'", description: 'Projection of AB on the VP.' }
+            }),
+            // Top View (Blue) - projection on HP
+            topLine: sm.createLine(ends, {
+                color: 0x0000ff,
+                linewidth: 2,
+                plane: 'hp',
+                info: { name: 'Top view ab', description: 'Projection of AB on the HP.' }
+            }),
+            labels: {
+                line: this.createEndLabels(''),
+                front: this.createEndLabels("'", 'vp'),
+                top: this.createEndLabels('', 'hp')
+            },
+            // Projectors from each end to its views, and from each view to XY, which
+            // join up on the unfolded sheet
+            projectors: [0, 1].map(() => ({
+                front: sm.createProjector(origin, origin, { info: { name: 'Projector' } }),
+                top: sm.createProjector(origin, origin, { info: { name: 'Projector' } }),
+                frontToXY: sm.createProjector(origin, origin, { plane: 'vp', info: { name: 'Projector to XY' } }),
+                topToXY: sm.createProjector(origin, origin, { plane: 'hp', info: { name: 'Projector to XY' } })
+            })),
+            // The line and its views extended to the traces
+            extensions: {
+                line: sm.createLine(ends, {
+                    color: 0xff0000,
+                    dashed: true,
+                    info: { name: 'AB extended', description: 'The line extended to meet the HP and VP.' }
+                }),
+                front: sm.createLine(ends, {
+                    color: 0x00ff00,
+                    dashed: true,
+                    plane: 'vp',
+                    info: { name: "a'b' extended", description: "The front view extended to XY at h' and to VT." }
+                }),
+                top: sm.createLine(ends, {
+                    color: 0x0000ff,
+                    dashed: true,
+                    plane: 'hp',
+                    info: { name: 'ab extended', description: 'The top view extended to XY at v and to HT.' }
+                })
+            },
+            traces: {
+                horizontal: this.createTrace({
+                    name: 'HT',
+                    plane: 'hp',
+                    color: 0x0000ff,
+                    xyName: "h'",
+                    description: 'Horizontal trace: where the line, extended, meets the HP.',
+                    xyDescription: 'Front view of the horizontal trace, on XY.'
+                }),
+                vertical: this.createTrace({
+                    name: 'VT',
+                    plane: 'vp',
+                    color: 0x00ff00,
+                    xyName: 'v',
+                    description: 'Vertical trace: where the line, extended, meets the VP.',
+                    xyDescription: 'Top view of the vertical trace, on XY.'
+                })
+            },
+            // The angles the front and top views make with XY, marked at a' and a
+            angleMarks: {
+                front: this.createAngleMark('α', 'vp', 0x00ff00),
+                top: this.createAngleMark('β', 'hp', 0x0000ff)
+            },
+            // The rotating-line construction, drawn step by step on the HP and VP
+            construction: {
+                rotatedTop: sm.createLine(ends, {
+                    color: 0x0000ff,
+                    linewidth: 2,
+                    plane: 'hp',
+                    info: { name: 'Top view ab₁', description: 'The top view rotated about a until parallel to XY.' }
+                }),
+                rotationArc: sm.createLine(new Array(ARC_SEGMENTS + 1).fill(origin), {
+                    color: 0x888888,
+                    dashed: true,
+                    plane: 'hp',
+                    info: { name: 'Path of b', description: 'The arc b follows as the top view rotates about a.' }
+                }),
+                topLabel: sm.addLabel('b₁', origin, { plane: 'hp' }),
+                locus: sm.createProjector(origin, origin, {
+                    plane: 'vp',
+                    info: { name: "Locus of b'", description: "The line through b' parallel to XY that b' moves along as AB rotates." }
+                }),
+                projectorDown: sm.createProjector(origin, origin, { plane: 'hp', info: { name: 'Projector from b₁' } }),
+                projectorUp: sm.createProjector(origin, origin, { plane: 'vp', info: { name: "Projector to b₁'" } }),
+                frontLabel: sm.addLabel("b₁'", origin, { plane: 'vp' }),
+                trueLength: sm.createLine(ends, {
+                    color: 0xff0000,
+                    linewidth: 2,
+                    plane: 'vp',
+                    info: { name: "True length a'b₁'", description: 'The front view of AB once it is parallel to the VP.' }
+                }),
+                theta: this.createAngleMark('θ', 'vp', 0xff0000)
+            },
+            ends: [
+                sm.createMarker(origin, {
+                    radius: 0.15,
+                    info: { name: 'End A', description: 'Starting end of the line.' }
+                }),
+                sm.createMarker(origin, {
+                    radius: 0.15,
+                    info: { name: 'End B', description: 'Far end of the line.' }
+                })
+            ]
+        };
+        sm.interactionManager.makeDraggable(this.objects.ends[0], (position) => this.onStartDragged(position));
+        sm.interactionManager.makeDraggable(this.objects.ends[1], (position) => this.onEndDragged(position));
+
+        // Side View (Purple) - projection on PP, with projectors carrying each end of the
+        // line and its front and top views across to it
+        const sideInfo = { name: 'Side view projector' };
+        this.sideViewObjects = {
+            line: sm.createLine(ends, {
+                color: 0x9333ea,
+                linewidth: 2,
+                plane: 'pp',
+                info: { name: "Side view a''b''", description: 'Projection of AB on the PP.' }
+            }),
+            labels: this.createEndLabels("''", 'pp'),
+            projectors: [0, 1].map(() => ({
+                main: sm.createProjector(origin, origin, { info: sideInfo }),
+                front: sm.createProjector(origin, origin, { plane: 'vp', info: sideInfo }),
+                top: sm.createProjector(origin, origin, { plane: 'hp', info: sideInfo }),
+                sideToFront: sm.createProjector(origin, origin, { plane: 'pp', info: sideInfo }),
+                sideToTop: sm.createProjector(origin, origin, { plane: 'pp', info: sideInfo })
+            }))
+        };
+    }
+
+    /**
+     * Creates the marking of the angle a view makes with XY: a line through the view's
+     * first end parallel to XY, an arc from it to the view and the angle's symbol.
+     * @param {string} symbol The angle's symbol, α or β.
+     * @param {('hp'|'vp')} plane The reference plane the view lies on.
+     * @param {number} color The colour of the view.
+     * @returns {{reference: THREE.Line, arc: THREE.Line, label: THREE.Object3D}} The marking.
+     */
+    createAngleMark(symbol, plane, color) {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        return {
+            reference: sm.createProjector(origin, origin, {
+                plane,
+                info: { name: 'Line parallel to XY', description: `Reference for measuring ${symbol}.` }
+            }),
+            arc: sm.createLine(new Array(ARC_SEGMENTS + 1).fill(origin), {
+                color,
+                plane,
+                info: { name: `Angle ${symbol}` }
+            }),
+            label: sm.addLabel(symbol, origin, { plane })
+        };
+    }
+
+    /**
+     * Creates the marking of a trace: the trace on its reference plane, its other view on
+     * XY and the projector joining them.
+     * @param {object} options What the trace is.
+     * @param {string} options.name The trace's name, HT or VT.
+     * @param {('hp'|'vp')} options.plane The reference plane the trace lies on.
+     * @param {number} options.color The colour of the view on that plane.
+     * @param {string} options.xyName The name of the trace's other view, h' or v.
+     * @param {string} options.description What the trace is, for its tooltip.
+     * @param {string} options.xyDescription What the other view is, for its tooltip.
+     * @returns {{point: THREE.Mesh, label: THREE.Object3D, xyPoint: THREE.Mesh,
+     *     xyLabel: THREE.Object3D, projector: THREE.Line}} The marking.
+     */
+    createTrace({ name, plane, color, xyName, description, xyDescription }) {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        const xyPlane = plane === 'hp' ? 'vp' : 'hp';
+
+        return {
+            point: sm.createMarker(origin, { color, radius: 0.15, plane, info: { name, description } }),
+            label: sm.addLabel(name, origin, { plane }),
+            xyPoint: sm.createMarker(origin, {
+                color: xyPlane === 'vp' ? 0x00ff00 : 0x0000ff,
+                radius: 0.1,
+                plane: xyPlane,
+                info: { name: xyName, description: xyDescription }
+            }),
+            xyLabel: sm.addLabel(xyName, origin, { plane: xyPlane }),
+            projector: sm.createProjector(origin, origin, { plane, info: { name: `Projector ${xyName} to ${name}` } })
+        };
+    }
+
+    /**
+     * Creates the labels for the two ends of the line or one of its views: A and B in
+     * space, a and b with the view's primes on the reference planes.
+     * @param {string} primes The primes of the view: '' for the top view, "'" for the front
+     *     view and "''" for the side view.
+     * @param {('hp'|'vp'|'pp')} [plane] The reference plane the view lies on; none for the line itself.
+     * @returns {THREE.Object3D[]} The two label anchors.
+     */
+    createEndLabels(primes, plane) {
+        const names = plane ? ['a', 'b'] : ['A', 'B'];
+        return names.map(name => this.sceneManager.addLabel(name + primes, new THREE.Vector3(), { plane }));
+    }
+
+    /**
+     * Updates the 3D visualization based on the current parameters, moving the objects
+     * made by createObjects() into place.
      */
     updateVisualization() {
-        this.sceneManager.clearSimulation();
+        const sm = this.sceneManager;
+        const objects = this.objects;
 
-        // Calculate end point based on angles and length
-        const thetaRad = (this.params.theta * Math.PI) / 180;
-        const phiRad = (this.params.phi * Math.PI) / 180;
+        const firstStart = new THREE.Vector3(this.params.x1, this.params.y1, this.params.z1);
+        const { offset, error } = this.getEndOffset(firstStart);
 
-        const dx = this.params.length * Math.cos(thetaRad) * Math.cos(phiRad);
-        const dy = this.params.length * Math.sin(thetaRad);
-        const dz = this.params.length * Math.cos(thetaRad) * Math.sin(phiRad);
+        // Givens that make no line leave nothing to draw
+        sm.setObjectsVisible(this.getObjects(), !error);
+        if (error) {
+            this.views = null;
+            sm.setObjectsVisible(this.getSideViewObjects(), false);
+            this.showNoLine(error);
+            return;
+        }
 
-        const start = new THREE.Vector3(this.params.x1, this.params.y1, this.params.z1);
-        const end = new THREE.Vector3(
-            this.params.x1 + dx,
-            this.params.y1 + dy,
-            this.params.z1 + dz
-        );
+        // The parameters describe the line in the first quadrant; the projection
+        // system decides which quadrant it is actually placed in
+        const start = sm.toObjectQuadrant(firstStart.clone());
+        const end = sm.toObjectQuadrant(firstStart.clone().add(offset));
+        const ends = [start, end];
+        const frontEnds = ends.map(point => new THREE.Vector3(point.x, point.y, 0));
+        const topEnds = ends.map(point => new THREE.Vector3(point.x, 0, point.z));
+
+        sm.updateLine(objects.line, ends);
+        sm.updateLine(objects.frontLine, frontEnds);
+        sm.updateLine(objects.topLine, topEnds);
 
-        // Main Line (Red)
-        this.createLine(start, end, 0xff0000, 3);
+        ends.forEach((point, i) => {
+            const xyPoint = new THREE.Vector3(point.x, 0, 0);
+            const projectors = objects.projectors[i];
+            sm.updateLine(projectors.front, [point, frontEnds[i]]);
+            sm.updateLine(projectors.top, [point, topEnds[i]]);
+            sm.updateLine(projectors.frontToXY, [frontEnds[i], xyPoint]);
+            sm.updateLine(projectors.topToXY, [topEnds[i], xyPoint]);
+
+            sm.updateMarker(objects.ends[i], point);
+            sm.updateMarker(objects.labels.line[i], point);
+            sm.updateMarker(objects.labels.front[i], frontEnds[i]);
+            sm.updateMarker(objects.labels.top[i], topEnds[i]);
+        });
 
-        // Front View (Green) - projection on VP
-        const frontStart = new THREE.Vector3(start.x, start.y, 0);
-        const frontEnd = new THREE.Vector3(end.x, end.y, 0);
-        this.createLine(frontStart, frontEnd, 0x00ff00, 2);
+        const showSideView = sm.isProfilePlaneVisible();
+        sm.setObjectsVisible(this.getSideViewObjects(), showSideView);
+        if (showSideView) {
+            this.updateSideView(ends);
+        }
 
-        // Top View (Blue) - projection on HP
-        const topStart = new THREE.Vector3(start.x, 0, start.z);
-        const topEnd = new THREE.Vector3(end.x, 0, end.z);
-        this.createLine(topStart, topEnd, 0x0000ff, 2);
+        const traces = this.updateTraces(firstStart, offset);
 
-        // Projection lines (dashed)
-        this.createProjectionLines(start, end, frontStart, frontEnd, topStart, topEnd);
+        const measures = measureLine(firstStart, offset);
+        this.updateAngleMark(objects.angleMarks.front, frontEnds, 'y', measures.alpha);
+        this.updateAngleMark(objects.angleMarks.top, topEnds, 'z', measures.beta);
 
-        // Add spheres at endpoints
-        this.addEndpointSpheres(start, end);
+        this.views = { frontEnds, topEnds };
+        this.updateConstruction();
 
-        this.updateInfo(start, end);
+        this.updateInfo(start, end, measures, traces, classifyLine(firstStart, offset));
     }
 
     /**
-     * Helper function to create a line segment in the scene.
-     * @param {THREE.Vector3} start The starting point of the line.
-     * @param {THREE.Vector3} end The ending point of the line.
-     * @param {number} color The color of the line.
-     * @param {number} linewidth The width of the line.
-     */
-    createLine(start, end, color, linewidth) {
-        const material = new THREE.LineBasicMaterial({ color, linewidth });
-        const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
-        const line = new THREE.Line(geometry, material);
-        this.sceneManager.addToSimulation(line);
-    }
-
-    /**
-     * Creates the dashed projection lines.
-     * @param {THREE.Vector3} start The start point of the main line.
-     * @param {THREE.Vector3} end The end point of the main line.
-     * @param {THREE.Vector3} frontStart The start point of the front view.
-     * @param {THREE.Vector3} frontEnd The end point of the front view.
-     * @param {THREE.Vector3} topStart The start point of the top view.
-     * @param {THREE.Vector3} topEnd The end point of the top view.
-     */
-    createProjectionLines(start, end, frontStart, frontEnd, topStart, topEnd) {
-        const lineMaterial = new THREE.LineDashedMaterial({
-            color: 0x888888,
-            dashSize: 0.15,
-            gapSize: 0.1
+     * Marks the traces of the line and extends the line and its views to reach them.
+     * Traces that do not exist, or lie too far away to draw, are left out.
+     * @param {THREE.Vector3} start End A, in the first quadrant.
+     * @param {THREE.Vector3} offset The offset from end A to end B.
+     * @returns {{horizontal: object, vertical: object}} The traces, from findTrace().
+     */
+    updateTraces(start, offset) {
+        const sm = this.sceneManager;
+        const { extensions, traces } = this.objects;
+        const found = {
+            horizontal: findTrace(start, offset, 'y'),
+            vertical: findTrace(start, offset, 'z')
+        };
+
+        // The extensions run over the line and out to whichever traces are drawn
+        let from = 0;
+        let to = 1;
+        Object.entries(found).forEach(([kind, trace]) => {
+            const drawn = trace.point && Math.abs(trace.t) * offset.length() <= TRACE_LIMIT;
+            sm.setObjectsVisible(Object.values(traces[kind]), !!drawn);
+            if (!drawn) return;
+
+            from = Math.min(from, trace.t);
+            to = Math.max(to, trace.t);
+            this.updateTrace(traces[kind], sm.toObjectQuadrant(trace.point.clone()));
         });
 
-        // Projections from main line to views
-        const points = [
-            [start, frontStart],
-            [start, topStart],
-            [end, frontEnd],
-            [end, topEnd]
+        const extended = [from, to].map(t => sm.toObjectQuadrant(start.clone().addScaledVector(offset, t)));
+        sm.setObjectsVisible(Object.values(extensions), from < 0 || to > 1);
+        sm.updateLine(extensions.line, extended);
+        sm.updateLine(extensions.front, extended.map(point => new THREE.Vector3(point.x, point.y, 0)));
+        sm.updateLine(extensions.top, extended.map(point => new THREE.Vector3(point.x, 0, point.z)));
+
+        return found;
+    }
+
+    /**
+     * Moves the marking of a trace made by createTrace().
+     * @param {object} trace The marking.
+     * @param {THREE.Vector3} point Where the trace is, as placed in the scene.
+     */
+    updateTrace(trace, point) {
+        const sm = this.sceneManager;
+        const onXY = new THREE.Vector3(point.x, 0, 0);
+
+        sm.updateMarker(trace.point, point);
+        sm.updateMarker(trace.label, point);
+        sm.updateMarker(trace.xyPoint, onXY);
+        sm.updateMarker(trace.xyLabel, onXY);
+        sm.updateLine(trace.projector, [onXY, point]);
+    }
+
+    /**
+     * Moves the marking of the angle a view makes with XY to the view's first end. Views
+     * that shrink to a point have no angle, so their marking is hidden.
+     * @param {{reference: THREE.Line, arc: THREE.Line, label: THREE.Object3D}} mark The marking.
+     * @param {THREE.Vector3[]} viewEnds The two ends of the view.
+     * @param {('y'|'z')} axis The axis across XY on the view's plane.
+     * @param {number} degrees The angle, for the arc's description.
+     */
+    updateAngleMark(mark, viewEnds, axis, degrees) {
+        const sm = this.sceneManager;
+        const [from, to] = viewEnds;
+        const direction = to.clone().sub(from);
+        const length = direction.length();
+
+        const visible = length > 1e-6;
+        sm.setObjectsVisible(Object.values(mark), visible);
+        if (!visible) return;
+
+        // Measure from the side of XY the view runs towards, so the arc stays on the sheet
+        // whichever quadrant the line is in
+        const along = new THREE.Vector3(Math.sign(direction.x) || 1, 0, 0);
+        const across = new THREE.Vector3();
+        across[axis] = Math.sign(direction[axis]) || 1;
+        const angle = Math.atan2(Math.abs(direction[axis]), Math.abs(direction.x));
+        const radius = Math.min(1.5, length * 0.4);
+        const arcPoint = (t, r) => from.clone()
+            .addScaledVector(along, r * Math.cos(t))
+            .addScaledVector(across, r * Math.sin(t));
+
+        mark.arc.userData.info.description = `${mark.arc.userData.info.name} is ${degrees.toFixed(1)}°.`;
+        sm.updateLine(mark.reference, [from, from.clone().addScaledVector(along, Math.max(Math.abs(direction.x), radius * 1.3))]);
+        sm.updateLine(mark.arc, Array.from({ length: ARC_SEGMENTS + 1 }, (_, i) => arcPoint((angle * i) / ARC_SEGMENTS, radius)));
+        sm.updateMarker(mark.label, arcPoint(angle / 2, radius * 1.35));
+    }
+
+    /**
+     * Works out where end B lies relative to end A: from the length and angles, from
+     * end B's own coordinates in the endpoints mode, or from the ticked givens in the solver.
+     * @param {THREE.Vector3} start End A, in the first quadrant.
+     * @returns {{offset: THREE.Vector3}|{error: string}} The offset from A to B, or why the
+     *     givens or ends make no line.
+     */
+    getEndOffset(start) {
+        if (this.params.mode === 'solver') {
+            const givens = LINE_GIVENS
+                .filter(given => this.givens[given.id].ticked)
+                .map(given => ({ given, value: this.givens[given.id].value }));
+            return solveLine(givens, start);
+        }
+        if (this.params.mode === 'endpoints') {
+            const offset = new THREE.Vector3(this.params.x2, this.params.y2, this.params.z2).sub(start);
+            return offset.length() < 1e-6 ? { error: 'A and B coincide.' } : { offset };
+        }
+
+        // True inclinations: the rise is L sin θ, the distance forward is L sin φ, and
+        // the end projectors are whatever is left of the length apart
+        const length = this.params.length;
+        const dy = length * Math.sin(THREE.MathUtils.degToRad(this.params.theta));
+        const dz = length * Math.sin(THREE.MathUtils.degToRad(this.params.phi));
+        const dx = Math.sqrt(Math.max(0, length * length - dy * dy - dz * dz));
+        return { offset: new THREE.Vector3(dx, dy, dz) };
+    }
+
+    /**
+     * Lists the line, its views, projectors, end markers and labels, for hiding them when
+     * the givens make no line.
+     * @returns {THREE.Object3D[]} The objects, apart from the side view.
+     */
+    getObjects() {
+        const { line, frontLine, topLine, labels, projectors, extensions, traces, angleMarks, ends } = this.objects;
+        return [
+            line, frontLine, topLine,
+            ...Object.values(labels).flat(),
+            ...projectors.flatMap(Object.values),
+            ...Object.values(extensions),
+            ...Object.values(traces).flatMap(Object.values),
+            ...this.getConstructionObjects(),
+            ...Object.values(angleMarks).flatMap(Object.values),
+            ...ends
         ];
+    }
 
-        points.forEach(([p1, p2]) => {
-            const geometry = new THREE.BufferGeometry().setFromPoints([p1, p2]);
-            const line = new THREE.Line(geometry, lineMaterial);
-            line.computeLineDistances();
-            this.sceneManager.addToSimulation(line);
-        });
+    /**
+     * Draws the rotating-line construction as far as it has got, from the views as last
+     * drawn: ab swung about a parallel to XY, the locus of b', b₁ projected up to it,
+     * and finally a'b₁', the true length, with θ marked.
+     */
+    updateConstruction() {
+        const sm = this.sceneManager;
+        const objects = this.objects.construction;
+        const { step, progress } = this.construction;
+
+        if (!this.views) {
+            sm.setObjectsVisible(this.getConstructionObjects(), false);
+            return;
+        }
+
+        const [frontA, frontB] = this.views.frontEnds;
+        const [topA, topB] = this.views.topEnds;
+        const drawn = n => (step > n ? 1 : (step === n ? progress : 0));
+
+        sm.setObjectsVisible([objects.rotatedTop, objects.rotationArc, objects.topLabel], step >= 2);
+        sm.setObjectsVisible([objects.locus], step >= 3);
+        sm.setObjectsVisible([objects.projectorDown, objects.projectorUp], step >= 4);
+        sm.setObjectsVisible([objects.frontLabel], drawn(4) === 1);
+        sm.setObjectsVisible([objects.trueLength], step >= 5);
+
+        // ab swings about a until it is parallel to XY, staying on the same side of a
+        const radius = topA.distanceTo(topB);
+        const startAngle = Math.atan2(topB.z - topA.z, topB.x - topA.x);
+        const endAngle = topB.x >= topA.x ? 0 : Math.sign(startAngle) * Math.PI;
+        const onCircle = angle => new THREE.Vector3(
+            topA.x + radius * Math.cos(angle),
+            0,
+            topA.z + radius * Math.sin(angle)
+        );
+        const swing = THREE.MathUtils.lerp(startAngle, endAngle, drawn(2));
+        const rotated = onCircle(swing);
+        sm.updateLine(objects.rotatedTop, [topA, rotated]);
+        sm.updateLine(objects.rotationArc, Array.from(
+            { length: ARC_SEGMENTS + 1 },
+            (_, i) => onCircle(THREE.MathUtils.lerp(startAngle, swing, i / ARC_SEGMENTS))
+        ));
+        sm.updateMarker(objects.topLabel, rotated);
+
+        // The locus of b' runs parallel to XY, out past where b₁' will be
+        const b1 = onCircle(endAngle);
+        const b1Front = new THREE.Vector3(b1.x, frontB.y, 0);
+        const locusEnd = new THREE.Vector3(b1.x + (b1.x < frontB.x ? -0.5 : 0.5), frontB.y, 0);
+        sm.updateLine(objects.locus, [frontB, frontB.clone().lerp(locusEnd, drawn(3))]);
+
+        // b₁ is projected up to XY on the HP, then on to the locus on the VP
+        const onXY = new THREE.Vector3(b1.x, 0, 0);
+        sm.updateLine(objects.projectorDown, [b1, b1.clone().lerp(onXY, Math.min(1, drawn(4) * 2))]);
+        sm.updateLine(objects.projectorUp, [onXY, onXY.clone().lerp(b1Front, Math.max(0, drawn(4) * 2 - 1))]);
+        sm.updateMarker(objects.frontLabel, b1Front);
+
+        sm.updateLine(objects.trueLength, [frontA, frontA.clone().lerp(b1Front, drawn(5))]);
+        if (drawn(5) === 1) {
+            const theta = THREE.MathUtils.radToDeg(Math.atan2(
+                Math.abs(b1Front.y - frontA.y),
+                Math.abs(b1Front.x - frontA.x)
+            ));
+            this.updateAngleMark(objects.theta, [frontA, b1Front], 'y', theta);
+        } else {
+            sm.setObjectsVisible(Object.values(objects.theta), false);
+        }
     }
 
     /**
-     * Adds spheres at the endpoints of the main line for better visualization.
-     * @param {THREE.Vector3} start The starting point.
-     * @param {THREE.Vector3} end The ending point.
+     * Lists the objects of the rotating-line construction.
+     * @returns {THREE.Object3D[]} The construction lines, labels and θ marking.
      */
-    addEndpointSpheres(start, end) {
-        const sphereGeometry = new THREE.SphereGeometry(0.15, 16, 16);
-        const sphereMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
+    getConstructionObjects() {
+        const { theta, ...lines } = this.objects.construction;
+        return [...Object.values(lines), ...Object.values(theta)];
+    }
+
+    /**
+     * Lists the side view objects, for showing and hiding them with the PP.
+     * @returns {THREE.Object3D[]} The side view, its labels and its projectors.
+     */
+    getSideViewObjects() {
+        const { line, labels, projectors } = this.sideViewObjects;
+        return [line, ...labels, ...projectors.flatMap(Object.values)];
+    }
+
+    /**
+     * Moves the side view of the line on the PP and the dashed projectors that carry each
+     * end of the line and its front and top views across to it.
+     * @param {THREE.Vector3[]} ends The two endpoints of the main line.
+     */
+    updateSideView(ends) {
+        const sm = this.sceneManager;
+        const objects = this.sideViewObjects;
+        const sideEnds = ends.map(point => sm.getSideView(point));
+
+        sm.updateLine(objects.line, sideEnds);
+        ends.forEach((point, i) => {
+            const side = sideEnds[i];
+            const frontOnHinge = new THREE.Vector3(side.x, point.y, 0);
+            const topOnHinge = new THREE.Vector3(side.x, 0, point.z);
+            const projectors = objects.projectors[i];
 
-        const startSphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        startSphere.position.copy(start);
-        this.sceneManager.addToSimulation(startSphere);
+            sm.updateMarker(objects.labels[i], side);
+            sm.updateLine(projectors.main, [point, side]);
+            sm.updateLine(projectors.front, [new THREE.Vector3(point.x, point.y, 0), frontOnHinge]);
+            sm.updateLine(projectors.top, [new THREE.Vector3(point.x, 0, point.z), topOnHinge]);
+            sm.updateLine(projectors.sideToFront, [side, frontOnHinge]);
+            sm.updateLine(projectors.sideToTop, [side, topOnHinge]);
+        });
+    }
 
-        const endSphere = new THREE.Mesh(sphereGeometry, sphereMaterial.clone());
-        endSphere.position.copy(end);
-        this.sceneManager.addToSimulation(endSphere);
+    /**
+     * Explains in the information overlay why the solver's givens, or the ends, make no line.
+     * @param {string} error The reason.
+     */
+    showNoLine(error) {
+        this.uiManager.updateInfoOverlay(`
+            <h4 class="font-bold text-slate-800">Line Analysis</h4>
+            <div class="mt-2 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-700">
+                <b>No such line:</b> ${error}
+            </div>
+        `);
     }
 
     /**
      * Updates the information overlay with the current line analysis.
      * @param {THREE.Vector3} start The starting point of the line.
      * @param {THREE.Vector3} end The ending point of the line.
+     * @param {Object<string, number>} measures Every quantity of the line, from measureLine().
+     * @param {{horizontal: object, vertical: object}} traces The traces, from findTrace().
+     * @param {{type: string, liesIn: string|null}} classification The kind of line, from classifyLine().
      */
-    updateInfo(start, end) {
+    updateInfo(start, end, measures, traces, classification) {
         const actualLength = start.distanceTo(end);
+        const system = this.sceneManager.getProjectionSystem();
+        const sideView = this.sceneManager.isProfilePlaneVisible()
+            ? `<div><b>${system.sideView} Length:</b> ${Math.hypot(end.y - start.y, end.z - start.z).toFixed(2)} units</div>`
+            : '';
         
+        const { step } = this.construction;
+        const narration = step ? `
+            <div class="mt-2 p-2 bg-amber-50 border border-amber-200 rounded text-xs text-amber-800">
+                <b>Step ${step} of ${CONSTRUCTION_STEPS.length}: ${CONSTRUCTION_STEPS[step - 1].title}.</b>
+                ${CONSTRUCTION_STEPS[step - 1].narration(measures)}
+            </div>` : '';
+
         this.uiManager.updateInfoOverlay(`
-            <h4 class="font-bold text-slate-800">Line Analysis</h4>
+            <h4 class="font-bold text-slate-800">Line Analysis</h4>${narration}
             <div class="mt-2 space-y-1 text-xs">
                 <div><b>Start:</b> (${start.x.toFixed(1)}, ${start.y.toFixed(1)}, ${start.z.toFixed(1)})</div>
                 <div><b>End:</b> (${end.x.toFixed(1)}, ${end.y.toFixed(1)}, ${end.z.toFixed(1)})</div>
                 <div><b>Length:</b> ${actualLength.toFixed(2)} units</div>
+                <div><b>Projection:</b> ${system.name} (${system.standard})</div>
+                <div class="mt-2 pt-2 border-t border-slate-300">
+                    <div><b>Type:</b> <span class="text-indigo-600 font-semibold">${classification.type}</span></div>
+                    ${classification.liesIn ? `<div><b>Lies in:</b> ${classification.liesIn === 'XY' ? 'XY' : `the ${classification.liesIn}`}</div>` : ''}
+                    <div><b>End A:</b> ${getQuadrant(start)}</div>
+                    <div><b>End B:</b> ${getQuadrant(end)}</div>
+                </div>
+                <div class="mt-2 pt-2 border-t border-slate-300">
+                    ${this.describeQuantities(measures)}
+                    ${sideView}
+                </div>
                 <div class="mt-2 pt-2 border-t border-slate-300">
-                    <div><b>Angle with HP (θ):</b> ${this.params.theta}°</div>
-                    <div><b>Angle with VP (φ):</b> ${this.params.phi}°</div>
+                    <div><b>HT:</b> ${this.describeTrace(traces.horizontal, 'HP', start, end)}</div>
+                    <div><b>VT:</b> ${this.describeTrace(traces.vertical, 'VP', start, end)}</div>
                 </div>
             </div>
         `);
     }
 
     /**
-     * Cleans up the topic by clearing all simulation objects.
+     * Describes where a trace is, as placed in the scene, or why there is none.
+     * @param {object} trace The trace, from findTrace().
+     * @param {('HP'|'VP')} plane The plane the trace lies on.
+     * @param {THREE.Vector3} start The starting point of the line, as placed.
+     * @param {THREE.Vector3} end The ending point of the line, as placed.
+     * @returns {string} The description.
+     */
+    describeTrace(trace, plane, start, end) {
+        if (trace.parallel) {
+            return trace.inPlane ? `none: the line lies in the ${plane}` : `none: the line is parallel to the ${plane}`;
+        }
+
+        // Round away the -0.00 left by the quadrant placement
+        const point = this.sceneManager.toObjectQuadrant(trace.point.clone())
+            .toArray()
+            .map(value => (Math.abs(value) < 0.005 ? 0 : value));
+        const [x, y, z] = point;
+        const position = `(${point.map(value => value.toFixed(2)).join(', ')})`;
+        let where = plane === 'HP'
+            ? `${Math.abs(z).toFixed(2)} ${z < 0 ? 'behind' : 'in front of'} VP`
+            : `${Math.abs(y).toFixed(2)} ${y < 0 ? 'below' : 'above'} HP`;
+        if ((plane === 'HP' ? z : y) === 0) {
+            where = `on XY at x = ${x.toFixed(2)}`;
+        }
+        const drawn = Math.abs(trace.t) * start.distanceTo(end) <= TRACE_LIMIT ? '' : ', too far away to draw';
+        return `${position}, ${where}${drawn}`;
+    }
+
+    /**
+     * Lists every quantity of the line, marking the ones that were given: the length and
+     * angles set with the sliders, end B's position, or the ticked givens in the solver.
+     * @param {Object<string, number>} measures Every quantity of the line, from measureLine().
+     * @returns {string} The HTML for the quantities.
+     */
+    describeQuantities(measures) {
+        const setBySliders = {
+            angles: ['tl', 'theta', 'phi'],
+            endpoints: ['hB', 'dB']
+        };
+        const rows = LINE_GIVENS.map(given => {
+            const value = measures[given.id];
+            let shown = given.angle ? `${value.toFixed(1)}°` : `${value.toFixed(2)} units`;
+            if (Number.isNaN(value)) {
+                shown = 'none (the view is a point)';
+            }
+            const isGiven = this.params.mode === 'solver'
+                ? this.givens[given.id].ticked
+                : setBySliders[this.params.mode].includes(given.id);
+            const tag = isGiven
+                ? ' <span class="text-slate-500">(given)</span>'
+                : '';
+            return `<div><b>${given.label}:</b> ${shown}${tag}</div>`;
+        });
+
+        return rows.join('');
+    }
+
+    /**
+     * Cleans up the topic by stopping the construction's playback and clearing all
+     * simulation objects.
      */
     cleanup() {
+        this.stopConstruction();
         this.sceneManager.clearSimulation();
     }
 }
@@ -4,9 +4,481 @@
 
 import * as THREE from '../../libs/three.module.js';
 
+/** @type {number} Number of segments used to draw a full circle. */
+const CURVE_SEGMENTS = 48;
+
+/** @type {number} Clearance between the lamina and the plane it does not rest on. */
+const CLEARANCE = 1;
+
+/** @type {number} How far the traces are drawn from the origin, along and across XY. */
+const TRACE_EXTENT = 12;
+
+/** @type {number} Tolerance below which a component of the plane's normal counts as zero. */
+const EPSILON = 1e-6;
+
+/** @type {number} How long each stage of the change-of-position method takes to draw, in ms. */
+const STAGE_DURATION = 2000;
+
+/** @type {number} How long playback rests on each finished stage, in ms. */
+const STAGE_HOLD = 1500;
+
+/** @type {number} How far each auxiliary plane is set beyond the lamina. */
+const AUXILIARY_GAP = 2;
+
+/** @type {number} How long each auxiliary plane takes to unfold, in ms. */
+const AUXILIARY_DURATION = 1500;
+
+/** @type {string[]} The subscripts of the first and second auxiliary views. */
+const AUXILIARY_SUBSCRIPTS = ['₁', '₂'];
+
+/**
+ * @type {Object<string, string>} How the true shape is found, by the route planAuxiliaryViews()
+ * takes: the lamina's position, the auxiliary planes it needs and how their reference lines
+ * are drawn.
+ */
+const AUXILIARY_ROUTES = {
+    top: 'The lamina is parallel to the HP, so its top view is already the true shape and no auxiliary plane is needed.',
+    front: 'The lamina is parallel to the VP, so its front view is already the true shape and no auxiliary plane is needed.',
+    avp: `The lamina is perpendicular to the HP, so its top view is an edge. An auxiliary vertical plane (AVP) parallel
+        to the lamina, with X₁Y₁ drawn parallel to that edge, receives the true shape.`,
+    aip: `The lamina is perpendicular to the VP, so its front view is an edge. An auxiliary inclined plane (AIP) parallel
+        to the lamina, with X₁Y₁ drawn parallel to that edge, receives the true shape.`,
+    'avp-aip': `Neither view is an edge. An auxiliary vertical plane (AVP) perpendicular to a horizontal line of the lamina,
+        with X₁Y₁ drawn perpendicular to that line's top view (its true length), shows the lamina as an edge. A second
+        auxiliary plane parallel to the lamina, with X₂Y₂ drawn parallel to that edge, receives the true shape.`
+};
+
+/**
+ * @type {{title: string, animated: boolean, narration: function(Object): string}[]}
+ * The stages of the change-of-position method, narrated from the givens and the planes
+ * involved (see getStageTerms()). The first is drawn at once; the others move the lamina.
+ */
+const STAGES = [
+    {
+        title: 'Draw the true shape',
+        animated: false,
+        narration: m => `Lay the lamina flat on the ${m.resting}, with ${m.line} ${m.restBy === 'side' ? 'perpendicular' : 'parallel'}
+            to XY. The ${m.trueView} is the true shape, and the ${m.edgeView} is an edge on XY.`
+    },
+    {
+        title: 'Tilt the surface',
+        animated: true,
+        narration: m => `Tilt the lamina about ${m.pivot} until its surface is at ${m.surfaceAngle}° to the ${m.resting}.
+            Copy the ${m.edgeView} edge at ${m.surfaceAngle}° to XY; its length does not change. Each corner keeps its
+            distance from the ${m.other}, so project from the new edge and across from the first ${m.trueView} to get
+            the second ${m.trueView}.`
+    },
+    {
+        title: 'Turn to the given angle',
+        animated: true,
+        narration: m => `Copy the second ${m.trueView}, unchanged in shape, turned so that ${m.line} ${m.edgeCondition}.
+            Each corner keeps its ${m.kept}, so project from this ${m.trueView} and across from the second ${m.edgeView}
+            to get the final ${m.edgeView}.`
+    }
+];
+
+/**
+ * @typedef {Object} LaminaShape
+ * @property {string} label The name of the shape.
+ * @property {string[]} dimensions The labels of the size and width sliders; a shape with
+ *     one dimension has no width.
+ * @property {{side?: string, corner?: string}} rests What the lamina can rest on, as the
+ *     resting buttons name it.
+ * @property {function(number, string[]): string} axis Names the line from a resting
+ *     corner, by its index, through the centre, which a problem inclines to the other
+ *     plane when the lamina rests on that corner.
+ */
+
+/** @type {Object<string, LaminaShape>} The laminae the topic can draw. */
+const SHAPES = {
+    triangle: { label: 'Triangle', dimensions: ['Side'], rests: { side: 'Side', corner: 'Corner' }, axis: (i, n) => `Altitude from ${n[i]}` },
+    square: { label: 'Square', dimensions: ['Side'], rests: { side: 'Side', corner: 'Corner' }, axis: (i, n) => `Diagonal ${n[i]}${n[(i + 2) % 4]}` },
+    rectangle: { label: 'Rectangle', dimensions: ['Side AB', 'Side BC'], rests: { side: 'Side', corner: 'Corner' }, axis: (i, n) => `Diagonal ${n[i]}${n[(i + 2) % 4]}` },
+    rhombus: { label: 'Rhombus', dimensions: ['Diagonal AC', 'Diagonal BD'], rests: { side: 'Side', corner: 'Corner' }, axis: (i, n) => `Diagonal ${n[i]}${n[(i + 2) % 4]}` },
+    pentagon: { label: 'Pentagon', dimensions: ['Side'], rests: { side: 'Side', corner: 'Corner' }, axis: (i, n) => `Line from ${n[i]} through the centre` },
+    hexagon: { label: 'Hexagon', dimensions: ['Side'], rests: { side: 'Side', corner: 'Corner' }, axis: (i, n) => `Diagonal ${n[i]}${n[(i + 3) % 6]}` },
+    circle: { label: 'Circle', dimensions: ['Diameter'], rests: { corner: 'Point on the rim' }, axis: (i, n) => `Diameter through ${n[i]}` },
+    semicircle: { label: 'Semicircle', dimensions: ['Diameter'], rests: { side: 'Diameter', corner: 'Point on the rim' }, axis: (i, n) => `Line from ${n[i]} through the centroid` }
+};
+
+/** @type {Object<string, number>} The number of sides of each regular polygon. */
+const REGULAR_SIDES = { triangle: 3, square: 4, pentagon: 5, hexagon: 6 };
+
+/**
+ * @typedef {Object} LaminaOutline
+ * @property {THREE.Vector2[]} outline The points around the lamina, anticlockwise.
+ * @property {number[]} corners The indices in the outline of the lettered corners, or of
+ *     the numbered points of a curved lamina.
+ * @property {string[]} names The name of each corner: A, B, C... or 1, 2, 3...
+ * @property {number[]} [restEdge] The corners at the ends of the only side a curved lamina
+ *     can rest on, in order; a polygon can rest on any side.
+ */
+
+/**
+ * Draws a lamina in its own plane, with its corners lettered anticlockwise.
+ * @param {string} shape The id of the shape in SHAPES.
+ * @param {number} size The side, first diagonal or diameter.
+ * @param {number} width The second side or diagonal, where the shape has one.
+ * @returns {LaminaOutline} The outline, at no particular position.
+ */
+function createOutline(shape, size, width) {
+    const letters = count => Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+    const numbers = count => Array.from({ length: count }, (_, i) => `${i + 1}`);
+    const polygon = (outline, names = letters(outline.length)) => ({
+        outline,
+        corners: outline.map((_, i) => i),
+        names
+    });
+
+    if (REGULAR_SIDES[shape]) {
+        const sides = REGULAR_SIDES[shape];
+        const radius = size / (2 * Math.sin(Math.PI / sides));
+        return polygon(Array.from({ length: sides }, (_, i) => {
+            const angle = -Math.PI / 2 - Math.PI / sides + (2 * Math.PI * i) / sides;
+            return new THREE.Vector2(radius * Math.cos(angle), radius * Math.sin(angle));
+        }));
+    }
+    if (shape === 'rectangle') {
+        return polygon([
+            new THREE.Vector2(0, 0),
+            new THREE.Vector2(size, 0),
+            new THREE.Vector2(size, width),
+            new THREE.Vector2(0, width)
+        ]);
+    }
+    if (shape === 'rhombus') {
+        return polygon([
+            new THREE.Vector2(-size / 2, 0),
+            new THREE.Vector2(0, -width / 2),
+            new THREE.Vector2(size / 2, 0),
+            new THREE.Vector2(0, width / 2)
+        ]);
+    }
+
+    // Curved laminae are numbered at every 30°, as they are divided on the drawing sheet
+    const radius = size / 2;
+    const step = CURVE_SEGMENTS / 12;
+    if (shape === 'circle') {
+        const outline = Array.from({ length: CURVE_SEGMENTS }, (_, i) => {
+            const angle = -Math.PI / 2 + (2 * Math.PI * i) / CURVE_SEGMENTS;
+            return new THREE.Vector2(radius * Math.cos(angle), radius * Math.sin(angle));
+        });
+        return { outline, corners: numbers(12).map((_, i) => i * step), names: numbers(12) };
+    }
+
+    // The semicircle runs round its arc from end 1 of the diameter to end 7 and back
+    // along the diameter
+    const outline = Array.from({ length: CURVE_SEGMENTS / 2 + 1 }, (_, i) => {
+        const angle = (2 * Math.PI * i) / CURVE_SEGMENTS;
+        return new THREE.Vector2(radius * Math.cos(angle), radius * Math.sin(angle));
+    });
+    return { outline, corners: numbers(7).map((_, i) => i * step), names: numbers(7), restEdge: [6, 0] };
+}
+
+/**
+ * Finds the area and centroid of a closed outline.
+ * @param {THREE.Vector2[]} outline The points around the outline, anticlockwise.
+ * @returns {{area: number, centroid: THREE.Vector2}} The area and centroid.
+ */
+function measureOutline(outline) {
+    let area = 0;
+    const centroid = new THREE.Vector2();
+    outline.forEach((point, i) => {
+        const next = outline[(i + 1) % outline.length];
+        const cross = point.x * next.y - next.x * point.y;
+        area += cross / 2;
+        centroid.x += (point.x + next.x) * cross;
+        centroid.y += (point.y + next.y) * cross;
+    });
+    centroid.divideScalar(6 * area);
+    return { area, centroid };
+}
+
+/**
+ * Moves a lamina so that the side or corner it rests on is at the origin, with the rest of
+ * the lamina above it: a side runs along +X with the lamina on its +Y side, and a corner
+ * has the lamina's centroid straight above it.
+ * @param {LaminaOutline} lamina The lamina, changed in place.
+ * @param {string} restBy 'side' or 'corner'.
+ * @param {number} restAt The index of the resting corner, or of the corner starting the
+ *     resting side; a curved lamina always rests on its restEdge.
+ * @returns {LaminaOutline} The same lamina.
+ */
+function restLamina(lamina, restBy, restAt) {
+    const { outline, corners } = lamina;
+    let origin;
+    let direction;
+    if (restBy === 'side') {
+        const restEdge = lamina.restEdge || [restAt, (restAt + 1) % corners.length];
+        const start = outline[corners[restEdge[0]]];
+        const end = outline[corners[restEdge[1]]];
+        origin = start.clone().add(end).multiplyScalar(0.5);
+        direction = end.clone().sub(start);
+    } else {
+        origin = outline[corners[restAt]].clone();
+        // Turn the centroid to +Y, i.e. the direction along +X is a quarter turn clockwise
+        const up = measureOutline(outline).centroid.sub(origin);
+        direction = new THREE.Vector2(up.y, -up.x);
+    }
+
+    const angle = -Math.atan2(direction.y, direction.x);
+    outline.forEach(point => point.sub(origin).rotateAround(new THREE.Vector2(), angle));
+    return lamina;
+}
+
+/**
+ * @typedef {Object} LaminaPose
+ * @property {number} tilt The surface's inclination to the plane the lamina rests on, in
+ *     radians.
+ * @property {number} turn The turn about the normal of that plane, in radians: π/2 leaves
+ *     the tilt axis perpendicular to the other plane.
+ * @property {number} shift How far along XY the lamina is moved from its usual place.
+ */
+
+/**
+ * Solves for the pose of a lamina from the givens of a problem, following the textbook
+ * construction: the lamina starts flat on the plane it rests on, is tilted about its
+ * resting side (or about the horizontal through its resting corner) until its surface
+ * makes the given angle with that plane, and is then turned about the normal of that
+ * plane until the reference line (the resting side, or the line from the resting corner
+ * through the centre) makes the given angle. A resting side stays on its plane, so its
+ * true inclination to the other plane and the angle its view makes with XY are equal.
+ * @param {Object} givens The problem's givens.
+ * @param {string} givens.restBy 'side' or 'corner'.
+ * @param {number} givens.surfaceAngle The surface's inclination to the plane it rests on,
+ *     in degrees.
+ * @param {string} givens.edgeMode 'true' for the reference line's true inclination to the
+ *     other plane, or 'apparent' for the angle its view on the resting plane makes with XY.
+ * @param {number} givens.edgeAngle That angle, in degrees.
+ * @returns {{pose: LaminaPose, edgeAngle: number, limited: boolean}} The pose, the edge
+ *     angle achieved, and whether the given one was out of reach.
+ */
+function solveOrientation({ restBy, surfaceAngle, edgeMode, edgeAngle }) {
+    const tilt = THREE.MathUtils.degToRad(surfaceAngle);
+    let angle = edgeAngle;
+    let limited = false;
+    let turn;
+    if (restBy === 'side') {
+        turn = THREE.MathUtils.degToRad(angle);
+    } else if (edgeMode === 'apparent') {
+        turn = Math.PI / 2 - THREE.MathUtils.degToRad(angle);
+    } else {
+        // The line of greatest slope rises at θ, so it can lean at most 90° − θ to the other plane
+        if (angle > 90 - surfaceAngle) {
+            angle = 90 - surfaceAngle;
+            limited = true;
+        }
+        const ratio = Math.cos(tilt) < EPSILON ? 1 : Math.sin(THREE.MathUtils.degToRad(angle)) / Math.cos(tilt);
+        turn = Math.acos(Math.min(1, ratio));
+    }
+    return { pose: { tilt, turn, shift: 0 }, edgeAngle: angle, limited };
+}
+
+/**
+ * Finds the rotation that takes a lamina from its own plane (as drawn by restLamina())
+ * into a pose in the first quadrant.
+ * @param {string} restPlane 'hp' or 'vp'.
+ * @param {LaminaPose} pose The pose.
+ * @returns {THREE.Quaternion} The rotation.
+ */
+function getPoseQuaternion(restPlane, { tilt, turn }) {
+    // Worked out resting on the HP: stand the lamina up parallel to the VP, lean it
+    // forward about X until its surface is at the tilt to the HP, then turn it about Y
+    const quaternion = new THREE.Quaternion()
+        .setFromAxisAngle(new THREE.Vector3(0, 1, 0), turn)
+        .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2 - tilt));
+
+    // Resting on the VP, heights and distances from the VP swap roles
+    if (restPlane === 'vp') {
+        const swap = new THREE.Matrix4().set(
+            -1, 0, 0, 0,
+            0, 0, 1, 0,
+            0, 1, 0, 0,
+            0, 0, 0, 1
+        );
+        quaternion.premultiply(new THREE.Quaternion().setFromRotationMatrix(swap));
+    }
+    return quaternion;
+}
+
+/**
+ * @typedef {Object} PlaneTrace
+ * @property {boolean} parallel True if the plane is parallel to the reference plane and
+ *     has no trace on it.
+ * @property {boolean} [inPlane] For a parallel plane, true if it is the reference plane.
+ * @property {THREE.Vector3} [start] The start of the trace, clipped to TRACE_EXTENT.
+ * @property {THREE.Vector3} [end] The end of the trace.
+ * @property {boolean} [drawn] False if the trace lies too far away to draw.
+ * @property {number} [angle] The angle the trace makes with XY, in degrees.
+ * @property {number|null} [crossing] Where the trace crosses XY, or null if it is parallel
+ *     to XY.
+ */
+
+/**
+ * Finds where a plane meets the HP or VP. On the HP the trace is the line
+ * n.x x + n.z z = n·p with y = 0, and on the VP the line n.x x + n.y y = n·p with z = 0.
+ * @param {THREE.Vector3} normal The plane's unit normal.
+ * @param {THREE.Vector3} point Any point on the plane.
+ * @param {string} axis 'y' for the horizontal trace (on the HP) or 'z' for the vertical
+ *     trace (on the VP).
+ * @returns {PlaneTrace} The trace.
+ */
+function findPlaneTrace(normal, point, axis) {
+    const across = axis === 'y' ? 'z' : 'y';
+    const constant = normal.dot(point);
+    const spread = Math.hypot(normal.x, normal[across]);
+    if (spread < EPSILON) {
+        return { parallel: true, inPlane: Math.abs(constant) < EPSILON };
+    }
+
+    // The point of the trace nearest the origin, and its direction, as (x, across) pairs
+    const foot = [normal.x * constant / (spread * spread), normal[across] * constant / (spread * spread)];
+    const direction = [-normal[across] / spread, normal.x / spread];
+
+    // Clip the trace to a square of side 2 × TRACE_EXTENT around the origin
+    let from = -Infinity;
+    let to = Infinity;
+    for (let i = 0; i < 2; i++) {
+        if (Math.abs(direction[i]) < EPSILON) continue;
+        const a = (-TRACE_EXTENT - foot[i]) / direction[i];
+        const b = (TRACE_EXTENT - foot[i]) / direction[i];
+        from = Math.max(from, Math.min(a, b));
+        to = Math.min(to, Math.max(a, b));
+    }
+    const toPoint = t => {
+        const result = new THREE.Vector3();
+        result.x = foot[0] + direction[0] * t;
+        result[across] = foot[1] + direction[1] * t;
+        return result;
+    };
+
+    return {
+        parallel: false,
+        start: toPoint(from),
+        end: toPoint(Math.max(from, to)),
+        drawn: from < to,
+        angle: THREE.MathUtils.radToDeg(Math.atan2(Math.abs(direction[1]), Math.abs(direction[0]))),
+        crossing: Math.abs(normal.x) < EPSILON ? null : constant / normal.x
+    };
+}
+
+/**
+ * Classifies a plane by its position relative to the HP, VP and PP.
+ * @param {THREE.Vector3} normal The plane's unit normal.
+ * @returns {{type: string, detail: string, theta: number, phi: number, edgeViews: string[], trueViews: string[]}}
+ *     The type of plane, how it shows in the views, its inclinations to the HP and VP in
+ *     degrees, and the views in which it is seen edge on and in its true shape.
+ */
+function classifyPlane(normal) {
+    const [nx, ny, nz] = normal.toArray().map(Math.abs);
+    const theta = THREE.MathUtils.radToDeg(Math.acos(Math.min(1, ny)));
+    const phi = THREE.MathUtils.radToDeg(Math.acos(Math.min(1, nz)));
+    const zero = value => value < EPSILON;
+    const classification = type => ({
+        ...type,
+        theta,
+        phi,
+        edgeViews: [[nz, 'front view'], [ny, 'top view'], [nx, 'side view']].filter(([n]) => zero(n)).map(([, view]) => view),
+        trueViews: [[nx, ny, 'front view'], [nx, nz, 'top view'], [ny, nz, 'side view']]
+            .filter(([a, b]) => zero(a) && zero(b)).map(([, , view]) => view)
+    });
+
+    if (zero(nx) && zero(nz)) {
+        return classification({ type: 'Parallel to the HP', detail: 'The top view is the true shape and the front view an edge parallel to XY.' });
+    }
+    if (zero(nx) && zero(ny)) {
+        return classification({ type: 'Parallel to the VP', detail: 'The front view is the true shape and the top view an edge parallel to XY.' });
+    }
+    if (zero(ny) && zero(nz)) {
+        return classification({ type: 'Profile plane', detail: 'Perpendicular to both the HP and VP: both views are edges perpendicular to XY.' });
+    }
+    if (zero(ny)) {
+        return classification({ type: 'Perpendicular to the HP', detail: `Inclined to the VP at ${phi.toFixed(1)}°: the top view is an edge inclined to XY at that angle.` });
+    }
+    if (zero(nz)) {
+        return classification({ type: 'Perpendicular to the VP', detail: `Inclined to the HP at ${theta.toFixed(1)}°: the front view is an edge inclined to XY at that angle.` });
+    }
+    if (zero(nx)) {
+        return classification({ type: 'Perpendicular to the PP', detail: 'Inclined to both the HP and VP, with both traces parallel to XY.' });
+    }
+    return classification({ type: 'Oblique', detail: 'Inclined to the HP, VP and PP: neither view is the true shape or an edge.' });
+}
+
+/**
+ * @typedef {Object} AuxiliaryPlane
+ * @property {THREE.Vector3} normal The plane's unit normal, pointing away from the lamina.
+ * @property {number} constant The plane holds the points p with p · normal = constant.
+ * @property {('hp'|'vp'|number)} parent The plane it is hinged to and unfolds into: the HP,
+ *     the VP or an earlier auxiliary plane, by index.
+ */
+
+/**
+ * Chooses the auxiliary planes that show a lamina's true shape: none when a view already
+ * shows it, one parallel to the lamina when a view is an edge, and otherwise an AVP that
+ * shows the lamina as an edge followed by a plane parallel to the lamina. Each is set
+ * AUXILIARY_GAP beyond the lamina.
+ * @param {THREE.Vector3} normal The lamina's unit normal.
+ * @param {THREE.Vector3[]} points The lamina's outline in the scene.
+ * @returns {{route: string, planes: AuxiliaryPlane[]}} The route, a key of
+ *     AUXILIARY_ROUTES, and the auxiliary planes in the order they are drawn.
+ */
+function planAuxiliaryViews(normal, points) {
+    const centre = points.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(points.length);
+    const awayFrom = (direction, axis) => (direction[axis] * centre[axis] < 0 ? direction.clone().negate() : direction.clone());
+    const beyond = (direction, parent) => ({
+        normal: direction,
+        constant: Math.max(...points.map(point => point.dot(direction))) + AUXILIARY_GAP,
+        parent
+    });
+    const [nx, ny, nz] = normal.toArray().map(Math.abs);
+
+    if (nx < EPSILON && nz < EPSILON) return { route: 'top', planes: [] };
+    if (nx < EPSILON && ny < EPSILON) return { route: 'front', planes: [] };
+    if (ny < EPSILON) return { route: 'avp', planes: [beyond(awayFrom(normal, 'z'), 'hp')] };
+    if (nz < EPSILON) return { route: 'aip', planes: [beyond(awayFrom(normal, 'y'), 'vp')] };
+
+    // A horizontal line of the lamina, pointing along XY so the AVP stands to its right
+    const horizontal = new THREE.Vector3().crossVectors(normal, new THREE.Vector3(0, 1, 0)).normalize();
+    if (horizontal.x < -EPSILON || (horizontal.x < EPSILON && horizontal.z * centre.z < 0)) {
+        horizontal.negate();
+    }
+    return { route: 'avp-aip', planes: [beyond(horizontal, 'hp'), beyond(awayFrom(normal, 'y'), 0)] };
+}
+
+/**
+ * Projects a point orthographically onto a plane.
+ * @param {THREE.Vector3} point The point.
+ * @param {{normal: THREE.Vector3, constant: number}} plane The plane.
+ * @returns {THREE.Vector3} The projection.
+ */
+function projectOntoPlane(point, plane) {
+    return point.clone().addScaledVector(plane.normal, plane.constant - point.dot(plane.normal));
+}
+
+/**
+ * Measures the interior angle of a polygon at a corner, as seen along a view direction.
+ * @param {THREE.Vector3} previous The corner before.
+ * @param {THREE.Vector3} corner The corner.
+ * @param {THREE.Vector3} next The corner after.
+ * @param {THREE.Vector3|null} view The direction the polygon is viewed along, or null
+ *     for its true angle.
+ * @returns {number} The angle in degrees, or NaN when the view shows a side next to it as
+ *     a point.
+ */
+function measureCornerAngle(previous, corner, next, view) {
+    const flatten = point => {
+        const offset = point.clone().sub(corner);
+        return view ? offset.projectOnPlane(view) : offset;
+    };
+    const [a, b] = [flatten(previous), flatten(next)];
+    if (a.length() < EPSILON || b.length() < EPSILON) return NaN;
+    return THREE.MathUtils.radToDeg(a.angleTo(b));
+}
+
 /**
  * @class PlanesProjection
- * @classdesc A topic module for visualizing a plane in 3D space and its orientation.
+ * @classdesc A topic module for visualizing a lamina in 3D space, resting on the HP or VP,
+ * and its projections.
  */
 class PlanesProjection {
     /**
@@ -20,15 +492,46 @@ class PlanesProjection {
         /** @type {UIManager} Reference to the UIManager. */
         this.uiManager = uiManager;
         /**
-         * @type {{size: number, rotX: number, rotY: number, rotZ: number}}
-         * The parameters for the plane, including its size and rotation angles.
+         * @type {{shape: string, size: number, width: number, restPlane: string, restBy: string, restAt: number, surfaceAngle: number, edgeMode: string, edgeAngle: number}}
+         * The parameters for the lamina as a problem gives them: its shape and dimensions,
+         * the plane it rests on ('hp' or 'vp'), whether on a side or a corner and which
+         * one, by the index of the corner (or of the corner starting the side), the
+         * inclination of its surface to that plane, and the angle of its reference line,
+         * either its true inclination to the other plane ('true') or the angle its view
+         * makes with XY ('apparent'). See solveOrientation().
          */
         this.params = {
-            size: 5,
-            rotX: 30,
-            rotY: 45,
-            rotZ: 0
+            shape: 'pentagon',
+            size: 4,
+            width: 2.5,
+            restPlane: 'hp',
+            restBy: 'side',
+            restAt: 0,
+            surfaceAngle: 45,
+            edgeMode: 'true',
+            edgeAngle: 30
         };
+        /** @type {LaminaOutline|null} The lamina in its own plane, resting at the origin. */
+        this.lamina = null;
+        /** @type {Object} The lamina, its views, corner markers, labels and projectors. */
+        this.objects = {};
+        /** @type {Object} The side view, its labels and projectors, shown with the PP. */
+        this.sideViewObjects = {};
+        /** @type {number} How far apart along XY the stages of the change-of-position method are drawn. */
+        this.stageSpacing = 0;
+        /**
+         * @type {{step: number, progress: number, run: Object|null, animation: Object|null}}
+         * How far the change-of-position method has got: the stage shown (0 before it
+         * starts), how much of that stage is drawn, and the playback and animation under way.
+         */
+        this.construction = { step: 0, progress: 1, run: null, animation: null };
+        /**
+         * @type {{active: boolean, unfold: number, target: number, animation: Object|null}}
+         * The auxiliary-plane method for the true shape: whether it is shown, how far its
+         * planes are unfolded (0 standing, 1 flat on the HP or VP), the way they are
+         * moving and the animation under way.
+         */
+        this.auxiliary = { active: false, unfold: 0, target: 0, animation: null };
     }
 
     /**
@@ -36,169 +539,1229 @@ class PlanesProjection {
      */
     load() {
         this.createControls();
+        this.createObjects();
         this.updateVisualization();
     }
 
     /**
-     * Creates the UI controls for manipulating the plane's properties.
+     * Creates the UI controls for manipulating the lamina's properties.
      */
     createControls() {
+        const shapeButtons = Object.entries(SHAPES).map(([id, shape]) => `
+                    <button class="plane-shape-button toolbar-button px-2 py-1.5 bg-white rounded-md shadow text-xs font-medium" data-shape="${id}">${shape.label}</button>`).join('');
+
         const html = `
             <h3 class="text-md font-semibold mb-3 text-slate-800">Plane Projection Controls</h3>
             <div class="bg-slate-50 p-3 rounded-lg mb-4">
-                ${this.uiManager.createSlider({
-                    id: 'size-slider',
-                    label: 'Plane Size',
-                    min: 2,
-                    max: 10,
-                    value: this.params.size,
-                    step: 0.5
-                })}
-                
-                <h4 class="text-sm font-semibold mb-2 mt-4 text-slate-700">Rotation Angles</h4>
-                ${this.uiManager.createSlider({
-                    id: 'rotX-slider',
-                    label: 'Rotation X (degrees)',
-                    min: 0,
-                    max: 360,
-                    value: this.params.rotX,
-                    step: 10
-                })}
-                ${this.uiManager.createSlider({
-                    id: 'rotY-slider',
-                    label: 'Rotation Y (degrees)',
-                    min: 0,
-                    max: 360,
-                    value: this.params.rotY,
-                    step: 10
-                })}
-                ${this.uiManager.createSlider({
-                    id: 'rotZ-slider',
-                    label: 'Rotation Z (degrees)',
-                    min: 0,
-                    max: 360,
-                    value: this.params.rotZ,
-                    step: 10
-                })}
+                <h4 class="text-sm font-semibold mb-2 text-slate-700">Shape</h4>
+                <div class="grid grid-cols-4 gap-1 mb-4">${shapeButtons}
+                </div>
+                <div id="plane-dimensions"></div>
+
+                <h4 class="text-sm font-semibold mb-2 text-slate-700">Rests On</h4>
+                <div class="flex rounded-md shadow overflow-hidden mb-2">
+                    <button class="plane-rest-plane toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-plane="hp">HP</button>
+                    <button class="plane-rest-plane toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-plane="vp">VP</button>
+                </div>
+                <div class="flex rounded-md shadow overflow-hidden mb-2">
+                    <button class="plane-rest-by toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-rest="side"></button>
+                    <button class="plane-rest-by toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-rest="corner"></button>
+                </div>
+                <div id="plane-rest-at" class="flex flex-wrap gap-1 mb-4"></div>
+
+                <h4 class="text-sm font-semibold mb-2 mt-4 text-slate-700">Orientation</h4>
+                <div id="plane-orientation"></div>
+                <div class="flex rounded-md shadow overflow-hidden mb-2">
+                    <button class="plane-edge-mode toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-mode="true">True Angle</button>
+                    <button class="plane-edge-mode toolbar-button flex-1 px-3 py-1.5 bg-white text-sm font-medium" data-mode="apparent">Angle with XY</button>
+                </div>
+                <p id="plane-edge-note" class="text-xs text-slate-600"></p>
+            </div>
+            <div class="bg-amber-50 border border-amber-200 p-3 rounded-lg mb-4">
+                <h4 class="text-sm font-semibold mb-1 text-amber-800">Change-of-Position Method</h4>
+                <p class="text-xs text-amber-700 mb-2">Draw the views in stages, from the true shape to the given position.</p>
+                <div class="flex gap-1">
+                    <button id="construction-back" class="toolbar-button px-2 py-1 bg-white rounded-md shadow text-sm" title="Previous stage">⏮</button>
+                    <button id="construction-play" class="toolbar-button flex-1 px-2 py-1 bg-white rounded-md shadow text-sm font-medium">Play</button>
+                    <button id="construction-next" class="toolbar-button px-2 py-1 bg-white rounded-md shadow text-sm" title="Next stage">⏭</button>
+                    <button id="construction-reset" class="toolbar-button px-2 py-1 bg-white rounded-md shadow text-sm" title="Clear the construction">✕</button>
+                </div>
+                <div id="construction-status" class="text-xs text-amber-700 mt-2"></div>
+            </div>
+            <div class="bg-pink-50 border border-pink-200 p-3 rounded-lg mb-4">
+                <h4 class="text-sm font-semibold mb-1 text-pink-800">True Shape by Auxiliary Planes</h4>
+                <p class="text-xs text-pink-700 mb-2">Project the lamina onto auxiliary planes and unfold them to see its true shape.</p>
+                <div class="flex gap-1">
+                    <button id="auxiliary-toggle" class="toolbar-button flex-1 px-2 py-1 bg-white rounded-md shadow text-sm font-medium">Show</button>
+                    <button id="auxiliary-unfold" class="toolbar-button flex-1 px-2 py-1 bg-white rounded-md shadow text-sm font-medium">Unfold</button>
+                </div>
             </div>
             <div class="bg-purple-50 border border-purple-200 p-3 rounded-lg text-sm">
                 <p class="font-semibold text-purple-800">About Planes:</p>
                 <p class="mt-2 text-purple-700 text-xs">
-                    The colored plane represents an arbitrary plane in 3D space. 
-                    Adjust its rotation to see how it intersects with the HP and VP.
+                    The coloured lamina rests on the HP or VP on one of its sides or corners,
+                    with its surface and one line in it inclined as a problem states. Its front view
+                    (green) and top view (blue) are lettered a', b', c'... and a, b, c...
+                    The amber lines are its traces: HT and VT, where the plane, extended,
+                    meets the HP and VP.
                 </p>
             </div>
         `;
 
         this.uiManager.setControls(html);
+        this.showShape();
+        this.showConstructionState();
+        this.showAuxiliaryState();
         this.attachEventListeners();
     }
 
     /**
-     * Attaches event listeners to the UI controls.
+     * Shows the dimension sliders, resting choices and orientation sliders of the current
+     * shape and highlights the chosen buttons.
      */
-    attachEventListeners() {
-        ['size', 'rotX', 'rotY', 'rotZ'].forEach(param => {
+    showShape() {
+        const { shape, restPlane, restBy, edgeMode } = this.params;
+        const { dimensions, rests } = SHAPES[shape];
+        const [resting, other] = restPlane === 'hp' ? ['HP', 'VP'] : ['VP', 'HP'];
+        const [surfaceSymbol, edgeSymbol, viewSymbol] = restPlane === 'hp' ? ['θ', 'φ', 'β'] : ['φ', 'θ', 'α'];
+        const view = restPlane === 'hp' ? 'top view' : 'front view';
+        const line = this.getReferenceLine();
+
+        document.getElementById('plane-dimensions').innerHTML = dimensions.map((label, i) => this.uiManager.createSlider({
+            id: i === 0 ? 'size-slider' : 'width-slider',
+            label,
+            min: 2,
+            max: 10,
+            value: i === 0 ? this.params.size : this.params.width,
+            step: 0.5
+        })).join('');
+        ['size', 'width'].forEach(param => {
             const slider = document.getElementById(`${param}-slider`);
-            const valueLabel = document.getElementById(`${param}-slider-value`);
-            
+            if (!slider) return;
             slider.addEventListener('input', (e) => {
                 this.params[param] = parseFloat(e.target.value);
-                valueLabel.textContent = this.params[param];
+                document.getElementById(`${param}-slider-value`).textContent = this.params[param];
+                this.rebuild();
+            });
+        });
+
+        document.getElementById('plane-orientation').innerHTML = `
+            ${this.uiManager.createSlider({
+                id: 'surfaceAngle-slider',
+                label: `Surface inclined to the ${resting} (${surfaceSymbol}°)`,
+                min: 0,
+                max: 90,
+                value: this.params.surfaceAngle,
+                step: 5
+            })}
+            ${this.uiManager.createSlider({
+                id: 'edgeAngle-slider',
+                label: edgeMode === 'true'
+                    ? `${line} inclined to the ${other} (${edgeSymbol}°)`
+                    : `${line} in the ${view} at ${viewSymbol}° to XY`,
+                min: 0,
+                max: 90,
+                value: this.params.edgeAngle,
+                step: 5
+            })}
+        `;
+        ['surfaceAngle', 'edgeAngle'].forEach(param => {
+            document.getElementById(`${param}-slider`).addEventListener('input', (e) => {
+                this.params[param] = parseFloat(e.target.value);
+                document.getElementById(`${param}-slider-value`).textContent = this.params[param];
                 this.updateVisualization();
             });
         });
+        document.getElementById('plane-edge-note').textContent = restBy === 'side'
+            ? `${line} lies on the ${resting}, so its true inclination to the ${other} and the angle its ${view} makes with XY are the same.`
+            : '';
+        document.querySelectorAll('.plane-edge-mode').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === edgeMode);
+        });
+
+        document.querySelectorAll('.plane-shape-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.shape === shape);
+        });
+        document.querySelectorAll('.plane-rest-plane').forEach(button => {
+            button.classList.toggle('active', button.dataset.plane === restPlane);
+        });
+        document.querySelectorAll('.plane-rest-by').forEach(button => {
+            const label = rests[button.dataset.rest];
+            button.textContent = label || '';
+            button.classList.toggle('hidden', !label);
+            button.classList.toggle('active', button.dataset.rest === restBy);
+        });
+        const choices = this.getRestChoices();
+        const restAt = document.getElementById('plane-rest-at');
+        restAt.classList.toggle('hidden', choices.length < 2);
+        restAt.innerHTML = choices.map((name, i) => `
+            <button class="plane-rest-at toolbar-button px-2 py-1 bg-white rounded-md shadow text-xs font-medium ${i === this.params.restAt ? 'active' : ''}" data-index="${i}">${name}</button>`).join('');
     }
 
     /**
-     * Updates the 3D visualization based on the current parameters.
+     * Attaches event listeners to the UI controls.
      */
-    updateVisualization() {
+    attachEventListeners() {
+        document.querySelectorAll('.plane-shape-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const shape = button.dataset.shape;
+                this.params.shape = shape;
+                if (!SHAPES[shape].rests[this.params.restBy]) {
+                    this.params.restBy = Object.keys(SHAPES[shape].rests)[0];
+                }
+                this.keepRestChoice();
+                this.showShape();
+                this.rebuild();
+            });
+        });
+        document.querySelectorAll('.plane-rest-plane').forEach(button => {
+            button.addEventListener('click', () => {
+                this.params.restPlane = button.dataset.plane;
+                this.showShape();
+                this.rebuild();
+            });
+        });
+        document.querySelectorAll('.plane-rest-by').forEach(button => {
+            button.addEventListener('click', () => {
+                this.params.restBy = button.dataset.rest;
+                this.keepRestChoice();
+                this.showShape();
+                this.rebuild();
+            });
+        });
+        // The side and corner buttons are drawn again with each shape, so listen on their row
+        document.getElementById('plane-rest-at').addEventListener('click', (e) => {
+            const button = e.target.closest('.plane-rest-at');
+            if (!button) return;
+            this.params.restAt = parseInt(button.dataset.index, 10);
+            this.showShape();
+            this.rebuild();
+        });
+        document.querySelectorAll('.plane-edge-mode').forEach(button => {
+            button.addEventListener('click', () => {
+                this.params.edgeMode = button.dataset.mode;
+                this.showShape();
+                this.updateVisualization();
+            });
+        });
+
+        document.getElementById('construction-play').addEventListener('click', () => {
+            if (this.construction.run) {
+                this.pauseConstruction();
+            } else {
+                this.playConstruction();
+            }
+        });
+        document.getElementById('construction-back').addEventListener('click', () => this.stepConstruction(-1));
+        document.getElementById('construction-next').addEventListener('click', () => this.stepConstruction(1));
+        document.getElementById('construction-reset').addEventListener('click', () => this.goToConstructionStep(0));
+
+        document.getElementById('auxiliary-toggle').addEventListener('click', () => {
+            this.setAuxiliaryActive(!this.auxiliary.active);
+        });
+        document.getElementById('auxiliary-unfold').addEventListener('click', () => {
+            this.unfoldAuxiliary(this.auxiliary.target === 1 ? 0 : 1);
+        });
+    }
+
+    /**
+     * Plays the change-of-position method from where it is, or from the start once it has
+     * finished, drawing each stage and resting on it before going on.
+     * @returns {Promise<void>} A promise that resolves when playback finishes or is paused.
+     */
+    async playConstruction() {
+        const construction = this.construction;
+        if (construction.step === STAGES.length && construction.progress === 1) {
+            this.goToConstructionStep(0);
+        }
+
+        const run = {};
+        construction.run = run;
+        this.showConstructionState();
+
+        while (construction.run === run) {
+            if (construction.progress === 1) {
+                if (construction.step === STAGES.length) break;
+                this.goToConstructionStep(construction.step + 1, STAGES[construction.step].animated ? 0 : 1);
+            }
+            await this.animateConstructionStep();
+            if (construction.run !== run) return;
+            if (construction.step < STAGES.length) {
+                await new Promise(resolve => setTimeout(resolve, STAGE_HOLD));
+            }
+        }
+
+        if (construction.run === run) {
+            construction.run = null;
+            this.showConstructionState();
+        }
+    }
+
+    /**
+     * Pauses the change-of-position method part way through a stage.
+     */
+    pauseConstruction() {
+        this.stopConstruction();
+        this.showConstructionState();
+    }
+
+    /**
+     * Stops the construction's playback and any stage being drawn.
+     */
+    stopConstruction() {
+        this.construction.run = null;
+        if (this.construction.animation) {
+            this.sceneManager.cancelAnimation(this.construction.animation);
+            this.construction.animation = null;
+        }
+    }
+
+    /**
+     * Moves the change-of-position method one stage on, drawing the next stage, or one
+     * stage back, showing the previous stage finished.
+     * @param {number} direction 1 to go on, -1 to go back.
+     */
+    stepConstruction(direction) {
+        const { step, progress } = this.construction;
+        this.pauseConstruction();
+
+        if (direction < 0) {
+            this.goToConstructionStep(Math.max(0, step - 1));
+        } else if (progress < 1) {
+            this.goToConstructionStep(step);
+        } else if (step < STAGES.length) {
+            this.goToConstructionStep(step + 1, STAGES[step].animated ? 0 : 1);
+            this.animateConstructionStep();
+        }
+    }
+
+    /**
+     * Shows a stage of the change-of-position method, with its narration.
+     * @param {number} step The stage, from 1, or 0 to clear the construction and show the
+     *     lamina in its given position.
+     * @param {number} [progress=1] How much of the stage to draw, from 0 to 1.
+     */
+    goToConstructionStep(step, progress = 1) {
+        if (step === 0) {
+            this.pauseConstruction();
+        }
+        this.construction.step = step;
+        this.construction.progress = progress;
+        this.showConstructionState();
+        this.updateVisualization();
+    }
+
+    /**
+     * Draws the rest of the current stage of the change-of-position method.
+     * @returns {Promise<void>} A promise that resolves when the stage is drawn or paused.
+     */
+    animateConstructionStep() {
+        const construction = this.construction;
+        if (construction.progress === 1) {
+            return Promise.resolve();
+        }
+
+        const animation = this.sceneManager.animateValue({
+            from: construction.progress,
+            to: 1,
+            duration: STAGE_DURATION * (1 - construction.progress),
+            onUpdate: (progress) => {
+                construction.progress = progress;
+                this.updateVisualization();
+            }
+        });
+        construction.animation = animation;
+
+        return animation.promise.then(() => {
+            if (construction.animation === animation) {
+                construction.animation = null;
+            }
+        });
+    }
+
+    /**
+     * Updates the construction's play button and stage counter.
+     */
+    showConstructionState() {
+        const { step, run } = this.construction;
+        document.getElementById('construction-play').textContent = run ? 'Pause' : 'Play';
+        document.getElementById('construction-status').textContent = step
+            ? `Stage ${step} of ${STAGES.length}: ${STAGES[step - 1].title}`
+            : 'Press Play, or step through the stages.';
+    }
+
+    /**
+     * Shows or hides the auxiliary planes, standing them up again when they are hidden.
+     * @param {boolean} active True to show them.
+     */
+    setAuxiliaryActive(active) {
+        this.stopAuxiliary();
+        Object.assign(this.auxiliary, { active, unfold: 0, target: 0 });
+        this.showAuxiliaryState();
+        this.updateVisualization();
+    }
+
+    /**
+     * Unfolds the auxiliary planes flat onto the HP or VP, the last drawn first, or folds
+     * them back up, from wherever they are.
+     * @param {number} target 1 to unfold them, 0 to fold them back.
+     * @returns {Promise<void>} A promise that resolves when they have moved or are stopped.
+     */
+    unfoldAuxiliary(target) {
+        const auxiliary = this.auxiliary;
+        this.stopAuxiliary();
+        if (!auxiliary.active) {
+            auxiliary.active = true;
+        }
+        auxiliary.target = target;
+        this.showAuxiliaryState();
+
+        const count = this.objects.auxiliary ? this.objects.auxiliary.planes.length : 1;
+        const animation = this.sceneManager.animateValue({
+            from: auxiliary.unfold,
+            to: target,
+            duration: AUXILIARY_DURATION * count * Math.abs(target - auxiliary.unfold),
+            onUpdate: (unfold) => {
+                auxiliary.unfold = unfold;
+                this.updateVisualization();
+            }
+        });
+        auxiliary.animation = animation;
+
+        return animation.promise.then(() => {
+            if (auxiliary.animation === animation) {
+                auxiliary.animation = null;
+            }
+        });
+    }
+
+    /**
+     * Stops the auxiliary planes where they are if they are unfolding or folding.
+     */
+    stopAuxiliary() {
+        if (this.auxiliary.animation) {
+            this.sceneManager.cancelAnimation(this.auxiliary.animation);
+            this.auxiliary.animation = null;
+        }
+    }
+
+    /**
+     * Updates the labels of the auxiliary planes' buttons.
+     */
+    showAuxiliaryState() {
+        const { active, target } = this.auxiliary;
+        document.getElementById('auxiliary-toggle').textContent = active ? 'Hide' : 'Show';
+        document.getElementById('auxiliary-toggle').classList.toggle('active', active);
+        document.getElementById('auxiliary-unfold').textContent = active && target === 1 ? 'Fold Back' : 'Unfold';
+    }
+
+    /**
+     * Builds the objects again after the shape, its dimensions or the way it rests change
+     * the outline.
+     */
+    rebuild() {
         this.sceneManager.clearSimulation();
+        this.createObjects();
+        this.updateVisualization();
+    }
 
-        // Create the main plane
-        const planeGeometry = new THREE.PlaneGeometry(this.params.size, this.params.size);
-        const planeMaterial = new THREE.MeshStandardMaterial({
+    /**
+     * Creates the lamina, its edges, front and top views, corner markers, projectors, side
+     * view and labels once for the current outline. updateVisualization() then turns and
+     * moves them whenever the rotations or resting plane change.
+     */
+    createObjects() {
+        const sm = this.sceneManager;
+        const { shape, size, width, restPlane, restBy, restAt } = this.params;
+        const origin = new THREE.Vector3();
+
+        this.lamina = restLamina(createOutline(shape, size, width), restBy, restAt);
+        const { outline, names } = this.lamina;
+        const { centroid } = measureOutline(outline);
+        this.stageSpacing = 2 * Math.max(...outline.map(point => point.distanceTo(centroid))) + 2;
+        const outlinePoints = outline.map(() => origin);
+        const shapeName = SHAPES[shape].label.toLowerCase();
+
+        const planeGeometry = new THREE.ShapeGeometry(new THREE.Shape(outline));
+        const plane = new THREE.Mesh(planeGeometry, new THREE.MeshStandardMaterial({
             color: 0xff6b6b,
             transparent: true,
             opacity: 0.6,
             side: THREE.DoubleSide,
             roughness: 0.3,
             metalness: 0.1
+        }));
+        sm.addToSimulation(plane, {
+            info: { name: 'Plane', description: `The ${shapeName} lamina in space.` }
+        });
+
+        const projector = name => sm.createProjector(origin, origin, { info: { name } });
+        this.objects = {
+            plane,
+            edgeLines: sm.createLine(outlinePoints, {
+                color: 0xff0000,
+                linewidth: 2,
+                closed: true,
+                info: { name: 'Plane edges' }
+            }),
+            // Front View (Green) - projection on VP
+            frontView: sm.createLine(outlinePoints, {
+                color: 0x00ff00,
+                linewidth: 2,
+                closed: true,
+                plane: 'vp',
+                info: { name: 'Front view', description: `Projection of the ${shapeName} on the VP.` }
+            }),
+            // Top View (Blue) - projection on HP
+            topView: sm.createLine(outlinePoints, {
+                color: 0x0000ff,
+                linewidth: 2,
+                closed: true,
+                plane: 'hp',
+                info: { name: 'Top view', description: `Projection of the ${shapeName} on the HP.` }
+            }),
+            corners: names.map(name => sm.createMarker(origin, {
+                radius: 0.15,
+                info: { name: `Corner ${name}` }
+            })),
+            labels: names.map(name => sm.addLabel(name, origin)),
+            frontLabels: names.map(name => sm.addLabel(`${name.toLowerCase()}'`, origin, { plane: 'vp' })),
+            topLabels: names.map(name => sm.addLabel(name.toLowerCase(), origin, { plane: 'hp' })),
+            // Projectors from each corner to its views, and from each view to XY, one on
+            // each plane so that they line up into a single projector on the unfolded sheet
+            projectors: names.map(name => ({
+                front: projector(`Projector ${name}${name.toLowerCase()}'`),
+                top: projector(`Projector ${name}${name.toLowerCase()}`),
+                frontToXY: sm.createProjector(origin, origin, { plane: 'vp', info: { name: `Projector ${name.toLowerCase()}' to XY` } }),
+                topToXY: sm.createProjector(origin, origin, { plane: 'hp', info: { name: `Projector ${name.toLowerCase()} to XY` } })
+            }))
+        };
+
+        // Traces of the plane, extended, on the HP and VP
+        this.objects.traces = {
+            horizontal: this.createTrace('HT', 'hp', 'Horizontal trace: where the plane, extended, meets the HP.'),
+            vertical: this.createTrace('VT', 'vp', 'Vertical trace: where the plane, extended, meets the VP.')
+        };
+
+        // The change-of-position method: the views of the earlier stages, kept faded on the
+        // sheet, and the lines along which the corners are carried across to the next stage.
+        // Tilting keeps each corner's distance from the other plane, so it is carried across
+        // the true-shape view; turning keeps the other distance, across the edge view.
+        const [trueView, edgeView] = restPlane === 'hp' ? ['hp', 'vp'] : ['vp', 'hp'];
+        this.objects.construction = {
+            ghosts: [1, 2].map(stage => ({
+                front: sm.createLine(outlinePoints, {
+                    color: 0x86efac,
+                    closed: true,
+                    plane: 'vp',
+                    info: { name: `Stage ${stage} front view`, description: `Kept from stage ${stage} of the change-of-position method.` }
+                }),
+                top: sm.createLine(outlinePoints, {
+                    color: 0x93c5fd,
+                    closed: true,
+                    plane: 'hp',
+                    info: { name: `Stage ${stage} top view`, description: `Kept from stage ${stage} of the change-of-position method.` }
+                })
+            })),
+            loci: [trueView, edgeView].map(plane => names.map(name => sm.createProjector(origin, origin, {
+                plane,
+                info: { name: `Locus of ${name.toLowerCase()}${plane === 'vp' ? "'" : ''}`, description: 'The line along which the corner is carried to the next stage.' }
+            })))
+        };
+
+        // Side View (Purple) - projection on PP, with projectors from each corner
+        this.sideViewObjects = {
+            outline: sm.createLine(outlinePoints, {
+                color: 0x9333ea,
+                linewidth: 2,
+                closed: true,
+                plane: 'pp',
+                info: { name: 'Side view', description: `Projection of the ${shapeName} on the PP.` }
+            }),
+            labels: names.map(name => sm.addLabel(`${name.toLowerCase()}''`, origin, { plane: 'pp' })),
+            projectors: names.map(() => projector('Side view projector'))
+        };
+
+        // The auxiliary planes depend on how the lamina lies, so updateAuxiliary() makes them
+        this.objects.auxiliary = null;
+    }
+
+    /**
+     * Creates the objects of a set of auxiliary planes: for each, its surface, its
+     * reference line, the lamina's view on it with labels, and a projector to each corner
+     * in two parts, one on the plane before and one on this plane, that line up across the
+     * reference line once unfolded. They all follow the HP or VP the first plane is hinged
+     * to, since that is where they end up.
+     * @param {AuxiliaryPlane[]} planes The auxiliary planes, from planAuxiliaryViews().
+     * @returns {{root: string, planes: Object[]}} The principal plane and each auxiliary
+     *     plane's objects.
+     */
+    createAuxiliaryObjects(planes) {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        const { outline, names } = this.lamina;
+        const outlinePoints = outline.map(() => origin);
+        const root = planes[0].parent;
+        const shapeName = SHAPES[this.params.shape].label.toLowerCase();
+
+        return {
+            root,
+            planes: planes.map((_, k) => {
+                const subscript = AUXILIARY_SUBSCRIPTS[k];
+                const reference = `X${subscript}Y${subscript}`;
+                const parentName = k === 0 ? `the ${root.toUpperCase()}` : 'the first auxiliary plane';
+                const name = k > 0 ? 'Second auxiliary plane' : `Auxiliary ${root === 'hp' ? 'vertical' : 'inclined'} plane`;
+                const trueShape = k === planes.length - 1;
+
+                const surface = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshStandardMaterial({
+                    color: 0xf9a8d4,
+                    transparent: true,
+                    opacity: 0.25,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                }));
+                sm.addToSimulation(surface, {
+                    plane: root,
+                    info: { name, description: `Perpendicular to ${parentName} and hinged to it along ${reference}.` }
+                });
+
+                return {
+                    surface,
+                    referenceLine: sm.createLine([origin, origin], {
+                        color: 0x475569,
+                        linewidth: 2,
+                        plane: root,
+                        info: { name: reference, description: `Where the ${name.toLowerCase()} meets ${parentName}.` }
+                    }),
+                    referenceLabel: sm.addLabel(reference, origin, { plane: root }),
+                    view: sm.createLine(outlinePoints, {
+                        color: trueShape ? 0xdb2777 : 0xf97316,
+                        linewidth: 2,
+                        closed: true,
+                        plane: root,
+                        info: trueShape
+                            ? { name: 'True shape', description: `Projection of the ${shapeName} on the ${name.toLowerCase()}, parallel to it.` }
+                            : { name: 'Auxiliary edge view', description: `Projection of the ${shapeName} on the ${name.toLowerCase()}, which it is perpendicular to.` }
+                    }),
+                    labels: names.map(corner => sm.addLabel(`${corner.toLowerCase()}${subscript}`, origin, { plane: root })),
+                    projectors: names.map(corner => ({
+                        toReference: sm.createProjector(origin, origin, { plane: root, info: { name: `Projector to ${reference}` } }),
+                        fromReference: sm.createProjector(origin, origin, {
+                            plane: root,
+                            info: { name: `Projector ${reference} to ${corner.toLowerCase()}${subscript}` }
+                        })
+                    }))
+                };
+            })
+        };
+    }
+
+    /**
+     * Removes the objects of the auxiliary planes.
+     * @param {{planes: Object[]}} objects The objects, from createAuxiliaryObjects().
+     */
+    removeAuxiliaryObjects(objects) {
+        objects.planes.forEach(plane => {
+            [
+                plane.surface,
+                plane.referenceLine,
+                plane.referenceLabel,
+                plane.view,
+                ...plane.labels,
+                ...plane.projectors.flatMap(projector => [projector.toReference, projector.fromReference])
+            ].forEach(object => this.sceneManager.removeFromSimulation(object));
         });
+    }
+
+    /**
+     * Creates the line and label of one of the plane's traces.
+     * @param {string} name 'HT' or 'VT'.
+     * @param {string} plane The plane the trace lies on: 'hp' or 'vp'.
+     * @param {string} description The tooltip description of the trace.
+     * @returns {{line: THREE.Line, label: THREE.Object3D}} The trace's objects.
+     */
+    createTrace(name, plane, description) {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        return {
+            line: sm.createLine([origin, origin], { color: 0xd97706, linewidth: 2, plane, info: { name, description } }),
+            label: sm.addLabel(name, origin, { plane })
+        };
+    }
 
-        const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-        
-        // Apply rotations
-        plane.rotation.x = (this.params.rotX * Math.PI) / 180;
-        plane.rotation.y = (this.params.rotY * Math.PI) / 180;
-        plane.rotation.z = (this.params.rotZ * Math.PI) / 180;
+    /**
+     * Updates the 3D visualization based on the current parameters, moving the objects
+     * made by createObjects() into place.
+     */
+    updateVisualization() {
+        const sm = this.sceneManager;
+        const { plane, edgeLines, frontView, topView, corners, labels, frontLabels, topLabels, projectors } = this.objects;
+
+        const { step, progress } = this.construction;
+        const solution = solveOrientation(this.params);
+        const placement = this.getPlacement(step ? this.getStagePose(step, progress) : solution.pose);
+        plane.position.copy(placement.position);
+        plane.quaternion.copy(placement.quaternion);
+        plane.scale.set(1, 1, 1);
+        sm.placeInObjectQuadrant(plane);
+        sm.onObjectChanged(plane);
 
-        this.sceneManager.addToSimulation(plane);
+        const outline = placement.outline.map(point => sm.toObjectQuadrant(point));
+        sm.updateLine(edgeLines, outline);
+        sm.updateLine(frontView, outline.map(point => new THREE.Vector3(point.x, point.y, 0)));
+        sm.updateLine(topView, outline.map(point => new THREE.Vector3(point.x, 0, point.z)));
 
-        // Add plane edges for better visibility
-        const edges = new THREE.EdgesGeometry(planeGeometry);
-        const edgeMaterial = new THREE.LineBasicMaterial({ color: 0xff0000, linewidth: 2 });
-        const edgeLines = new THREE.LineSegments(edges, edgeMaterial);
-        edgeLines.rotation.copy(plane.rotation);
-        this.sceneManager.addToSimulation(edgeLines);
+        const cornerPoints = this.lamina.corners.map(index => outline[index]);
+        cornerPoints.forEach((corner, i) => {
+            const front = new THREE.Vector3(corner.x, corner.y, 0);
+            const top = new THREE.Vector3(corner.x, 0, corner.z);
+            const xyPoint = new THREE.Vector3(corner.x, 0, 0);
+            sm.updateMarker(corners[i], corner);
+            sm.updateMarker(labels[i], corner);
+            sm.updateMarker(frontLabels[i], front);
+            sm.updateMarker(topLabels[i], top);
+            sm.updateLine(projectors[i].front, [corner, front]);
+            sm.updateLine(projectors[i].top, [corner, top]);
+            sm.updateLine(projectors[i].frontToXY, [front, xyPoint]);
+            sm.updateLine(projectors[i].topToXY, [xyPoint, top]);
+        });
 
-        // Add corner spheres
-        this.addCornerSpheres(plane);
+        const side = this.sideViewObjects;
+        const showSideView = sm.isProfilePlaneVisible();
+        sm.setObjectsVisible([side.outline, ...side.labels, ...side.projectors], showSideView);
+        if (showSideView) {
+            this.updateSideView(outline, cornerPoints);
+        }
+
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(plane.quaternion);
+        const traces = {
+            horizontal: findPlaneTrace(normal, outline[0], 'y'),
+            vertical: findPlaneTrace(normal, outline[0], 'z')
+        };
+        Object.entries(traces).forEach(([key, trace]) => this.updateTrace(this.objects.traces[key], trace));
 
-        this.updateInfo();
+        this.updateConstruction(placement);
+        const auxiliary = this.updateAuxiliary(outline, normal);
+        this.updateInfo(placement, solution, traces, classifyPlane(normal), auxiliary);
     }
 
     /**
-     * Adds spheres at the corners of the plane for better visualization.
-     * @param {THREE.Mesh} plane The plane mesh whose corners are to be marked.
+     * Projects the lamina onto the auxiliary planes its position needs and unfolds them as
+     * far as they have got, making their objects again when the planes needed change. Each
+     * plane turns about its reference line until it lies in the plane it is hinged to,
+     * carrying any plane hinged to it; the last plane unfolds first.
+     * @param {THREE.Vector3[]} outline The lamina's outline in the scene.
+     * @param {THREE.Vector3} normal The lamina's unit normal.
+     * @returns {{route: string, area: number|null}|null} The route taken, a key of
+     *     AUXILIARY_ROUTES, and the area of the last auxiliary view, measured in its plane,
+     *     or null when the auxiliary planes are not shown.
      */
-    addCornerSpheres(plane) {
-        const sphereGeometry = new THREE.SphereGeometry(0.15, 16, 16);
-        const sphereMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
+    updateAuxiliary(outline, normal) {
+        const sm = this.sceneManager;
+        const { active, unfold } = this.auxiliary;
+        const { route, planes } = active ? planAuxiliaryViews(normal, outline) : { route: null, planes: [] };
 
-        const halfSize = this.params.size / 2;
-        const corners = [
-            new THREE.Vector3(-halfSize, -halfSize, 0),
-            new THREE.Vector3(halfSize, -halfSize, 0),
-            new THREE.Vector3(halfSize, halfSize, 0),
-            new THREE.Vector3(-halfSize, halfSize, 0)
+        let objects = this.objects.auxiliary;
+        if (objects && (!planes.length || objects.root !== planes[0].parent || objects.planes.length !== planes.length)) {
+            this.removeAuxiliaryObjects(objects);
+            objects = null;
+        }
+        if (!objects && planes.length) {
+            objects = this.createAuxiliaryObjects(planes);
+        }
+        this.objects.auxiliary = objects;
+        if (!active) return null;
+        if (!objects) return { route, area: null };
+
+        const principal = {
+            hp: { normal: new THREE.Vector3(0, 1, 0), constant: 0 },
+            vp: { normal: new THREE.Vector3(0, 0, 1), constant: 0 }
+        };
+        const parents = planes.map(plane => (typeof plane.parent === 'number' ? planes[plane.parent] : principal[plane.parent]));
+        const centre = outline.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(outline.length);
+
+        // Each reference line, where a plane meets the plane it is hinged to, through the point
+        // nearest the lamina's centre, and the plane's direction away from it towards the view
+        const hinges = planes.map((plane, k) => {
+            const parent = parents[k];
+            const direction = new THREE.Vector3().crossVectors(plane.normal, parent.normal);
+            const point = new THREE.Vector3()
+                .addScaledVector(new THREE.Vector3().crossVectors(parent.normal, direction), plane.constant)
+                .addScaledVector(new THREE.Vector3().crossVectors(direction, plane.normal), parent.constant)
+                .divideScalar(direction.lengthSq());
+            direction.normalize();
+            const shown = projectOntoPlane(centre, plane);
+            point.addScaledVector(direction, shown.clone().sub(point).dot(direction));
+            const up = shown.sub(point).projectOnPlane(direction).normalize();
+            const stage = THREE.MathUtils.clamp(unfold * planes.length - (planes.length - 1 - k), 0, 1);
+            return {
+                point,
+                direction,
+                up,
+                axis: new THREE.Vector3().crossVectors(up, plane.normal).normalize(),
+                angle: stage * Math.PI / 2
+            };
+        });
+        const unfoldFrom = (point, k) => {
+            const result = point.clone();
+            for (let j = k; j >= 0; j--) {
+                result.sub(hinges[j].point).applyAxisAngle(hinges[j].axis, hinges[j].angle).add(hinges[j].point);
+            }
+            return result;
+        };
+        const toLocal = (point, k) => {
+            const offset = point.clone().sub(hinges[k].point);
+            return [offset.dot(hinges[k].direction), offset.dot(hinges[k].up)];
+        };
+        const fromLocal = ([s, t], k) => hinges[k].point.clone()
+            .addScaledVector(hinges[k].direction, s)
+            .addScaledVector(hinges[k].up, t);
+
+        const views = planes.map(plane => outline.map(point => projectOntoPlane(point, plane)));
+        const references = views.map((view, k) => {
+            const along = view.map(point => toLocal(point, k)[0]);
+            return [fromLocal([Math.min(...along) - 1, 0], k), fromLocal([Math.max(...along) + 1, 0], k)];
+        });
+
+        objects.planes.forEach((objectSet, k) => {
+            const plane = planes[k];
+            const view = views[k];
+
+            // The surface covers the view and the reference line of any plane hinged to it
+            const covered = [...view, ...references[k], ...(k + 1 < planes.length ? references[k + 1] : [])]
+                .map(point => toLocal(point, k));
+            const [s0, s1] = [Math.min(...covered.map(([s]) => s)), Math.max(...covered.map(([s]) => s))];
+            const t1 = Math.max(...covered.map(([, t]) => t)) + 1;
+            const geometry = objectSet.surface.geometry;
+            [[s0, t1], [s1, t1], [s0, 0], [s1, 0]].forEach((local, i) => {
+                const corner = unfoldFrom(fromLocal(local, k), k);
+                geometry.attributes.position.setXYZ(i, corner.x, corner.y, corner.z);
+            });
+            geometry.attributes.position.needsUpdate = true;
+            geometry.computeVertexNormals();
+            geometry.computeBoundingBox();
+            geometry.computeBoundingSphere();
+            sm.onObjectChanged(objectSet.surface);
+
+            const reference = references[k].map(point => unfoldFrom(point, k - 1));
+            sm.updateLine(objectSet.referenceLine, reference);
+            sm.updateMarker(objectSet.referenceLabel, reference[1]);
+            sm.updateLine(objectSet.view, view.map(point => unfoldFrom(point, k)));
+
+            this.lamina.corners.forEach((index, i) => {
+                const shown = unfoldFrom(view[index], k);
+                const parentView = projectOntoPlane(outline[index], parents[k]);
+                const foot = projectOntoPlane(parentView, plane);
+                sm.updateMarker(objectSet.labels[i], shown);
+                sm.updateLine(objectSet.projectors[i].toReference, [unfoldFrom(parentView, k - 1), unfoldFrom(foot, k - 1)]);
+                sm.updateLine(objectSet.projectors[i].fromReference, [unfoldFrom(foot, k), shown]);
+            });
+        });
+
+        const last = planes.length - 1;
+        const trueShape = views[last].map(point => new THREE.Vector2(...toLocal(point, last)));
+        return { route, area: Math.abs(measureOutline(trueShape).area) };
+    }
+
+    /**
+     * Draws the change-of-position method as far as it has got: the views of the finished
+     * stages, and the loci carrying the corners from them to the lamina's current views.
+     * @param {{outline: THREE.Vector3[]}} placement Where the lamina is now, from getPlacement().
+     */
+    updateConstruction(placement) {
+        const sm = this.sceneManager;
+        const { ghosts, loci } = this.objects.construction;
+        const { step } = this.construction;
+        const [trueView, edgeView] = this.params.restPlane === 'hp' ? ['top', 'front'] : ['front', 'top'];
+
+        const getViews = outline => {
+            const points = outline.map(point => sm.toObjectQuadrant(point));
+            return {
+                front: points.map(point => new THREE.Vector3(point.x, point.y, 0)),
+                top: points.map(point => new THREE.Vector3(point.x, 0, point.z))
+            };
+        };
+        const current = getViews(placement.outline);
+        const stages = [1, 2].map(stage => (stage < step ? getViews(this.getPlacement(this.getStagePose(stage)).outline) : null));
+
+        ghosts.forEach((ghost, i) => {
+            const views = stages[i];
+            sm.setObjectsVisible([ghost.front, ghost.top], !!views);
+            if (views) {
+                sm.updateLine(ghost.front, views.front);
+                sm.updateLine(ghost.top, views.top);
+            }
+        });
+
+        // Stage 2 is carried across from stage 1's true-shape view, stage 3 from stage 2's edge view
+        const carried = [
+            { from: stages[0], to: step === 2 ? current : stages[1], view: trueView },
+            { from: stages[1], to: current, view: edgeView }
+        ];
+        carried.forEach(({ from, to, view }, i) => {
+            sm.setObjectsVisible(loci[i], !!(from && to));
+            if (!from || !to) return;
+            this.lamina.corners.forEach((index, corner) => {
+                sm.updateLine(loci[i][corner], [from[view][index], to[view][index]]);
+            });
+        });
+    }
+
+    /**
+     * Collects the terms the narration of the change-of-position method uses, from the
+     * givens and the planes involved.
+     * @param {{edgeAngle: number}} solution The solved orientation, from solveOrientation().
+     * @returns {Object} The terms, for the narration functions in STAGES.
+     */
+    getStageTerms(solution) {
+        const { restPlane, restBy, surfaceAngle, edgeMode, edgeAngle } = this.params;
+        const hp = restPlane === 'hp';
+        const its = name => `its ${name.replace(/^\w/, c => c.toLowerCase())}`;
+        const other = hp ? 'VP' : 'HP';
+        const trueView = hp ? 'top view' : 'front view';
+        return {
+            resting: hp ? 'HP' : 'VP',
+            other,
+            trueView,
+            edgeView: hp ? 'front view' : 'top view',
+            kept: hp ? 'height above the HP' : 'distance from the VP',
+            line: its(this.getReferenceLine()),
+            pivot: its(this.getRestName()),
+            restBy,
+            surfaceAngle,
+            edgeCondition: edgeMode === 'true' || restBy === 'side'
+                ? `is inclined at ${solution.edgeAngle}° to the ${other}`
+                : `makes ${edgeAngle}° with XY in the ${trueView}`
+        };
+    }
+
+    /**
+     * Moves a trace's line into place and labels it at the end farther from XY, or hides
+     * it when the plane has no such trace.
+     * @param {{line: THREE.Line, label: THREE.Object3D}} objects The trace's objects.
+     * @param {PlaneTrace} trace The trace.
+     */
+    updateTrace(objects, trace) {
+        const sm = this.sceneManager;
+        const drawn = !trace.parallel && trace.drawn;
+        sm.setObjectsVisible([objects.line, objects.label], drawn);
+        if (!drawn) return;
+
+        sm.updateLine(objects.line, [trace.start, trace.end]);
+        const fromXY = point => Math.abs(point.y) + Math.abs(point.z);
+        sm.updateMarker(objects.label, fromXY(trace.start) > fromXY(trace.end) ? trace.start : trace.end);
+    }
+
+    /**
+     * Describes a trace for the info overlay.
+     * @param {PlaneTrace} trace The trace.
+     * @param {string} plane The plane it lies on: 'HP' or 'VP'.
+     * @returns {string} How the trace lies relative to XY.
+     */
+    describeTrace(trace, plane) {
+        if (trace.parallel) {
+            return trace.inPlane ? `none (the plane is the ${plane})` : `none (the plane is parallel to the ${plane})`;
+        }
+        const drawn = trace.drawn ? '' : ', too far away to draw';
+        if (trace.angle < EPSILON) return `parallel to XY${drawn}`;
+        if (trace.angle > 90 - EPSILON) return `perpendicular to XY${drawn}`;
+        return `inclined at ${trace.angle.toFixed(1)}° to XY${drawn}`;
+    }
+
+    /**
+     * Works out where the lamina is in the first quadrant in a pose: turned, and moved to
+     * sit on its plane, clear of the other, centred on XY at the pose's shift.
+     * @param {LaminaPose} pose The pose, from solveOrientation() or getStagePose().
+     * @returns {{quaternion: THREE.Quaternion, position: THREE.Vector3, outline: THREE.Vector3[]}}
+     *     The lamina's orientation and position, and its outline in space.
+     */
+    getPlacement(pose) {
+        const { restPlane } = this.params;
+        const quaternion = getPoseQuaternion(restPlane, pose);
+        const outline = this.lamina.outline.map(point => new THREE.Vector3(point.x, point.y, 0).applyQuaternion(quaternion));
+
+        const box = new THREE.Box3().setFromPoints(outline);
+        const centre = pose.shift - (box.min.x + box.max.x) / 2;
+        const position = restPlane === 'hp'
+            ? new THREE.Vector3(centre, 0, CLEARANCE - box.min.z)
+            : new THREE.Vector3(centre, CLEARANCE - box.min.y, 0);
+        outline.forEach(point => point.add(position));
+
+        return { quaternion, position, outline };
+    }
+
+    /**
+     * Finds the lamina's pose part way through the change-of-position method. Stage 1 lies
+     * flat with the tilt axis perpendicular to the other plane, stage 2 is tilted to the
+     * given surface angle and stage 3 turned to the final pose; each stage is drawn one
+     * stage spacing to the left of the next, the last in the lamina's usual place.
+     * @param {number} stage The stage, from 1 to 3.
+     * @param {number} [progress=1] How far the lamina has moved from the previous stage,
+     *     from 0 to 1.
+     * @returns {LaminaPose} The pose.
+     */
+    getStagePose(stage, progress = 1) {
+        const { pose } = solveOrientation(this.params);
+        const poses = [
+            { tilt: 0, turn: Math.PI / 2, shift: -2 * this.stageSpacing },
+            { tilt: pose.tilt, turn: Math.PI / 2, shift: -this.stageSpacing },
+            pose
         ];
+        const to = poses[stage - 1];
+        const from = poses[Math.max(0, stage - 2)];
+        const mix = key => from[key] + (to[key] - from[key]) * progress;
+        return { tilt: mix('tilt'), turn: mix('turn'), shift: mix('shift') };
+    }
 
-        corners.forEach(corner => {
-            const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial.clone());
-            corner.applyEuler(plane.rotation);
-            sphere.position.copy(corner);
-            this.sceneManager.addToSimulation(sphere);
+    /**
+     * Lists the sides or corners the lamina can rest on, by the way it rests.
+     * @returns {string[]} Their names by index, e.g. AB, BC... or A, B...; empty when there
+     *     is only one way to rest, as on the diameter of a semicircle.
+     */
+    getRestChoices() {
+        const { shape, size, width, restBy } = this.params;
+        const { names, restEdge } = createOutline(shape, size, width);
+        if (restBy === 'side') {
+            return restEdge ? [] : names.map((name, i) => `${name}${names[(i + 1) % names.length]}`);
+        }
+        // Every point on the rim of a circle rests the same way
+        return shape === 'circle' ? [] : names;
+    }
+
+    /**
+     * Goes back to the first side or corner when the one chosen no longer exists, as when
+     * the shape changes.
+     */
+    keepRestChoice() {
+        if (this.params.restAt >= Math.max(1, this.getRestChoices().length)) this.params.restAt = 0;
+    }
+
+    /**
+     * Names the side or corner the lamina rests on.
+     * @returns {string} E.g. "Side BC", "Corner B" or "End 1 of the diameter".
+     */
+    getRestName() {
+        const { shape, size, width, restBy, restAt } = this.params;
+        const { names, restEdge } = createOutline(shape, size, width);
+        if (restBy === 'side') {
+            return restEdge ? 'Diameter' : `Side ${names[restAt]}${names[(restAt + 1) % names.length]}`;
+        }
+        if (shape === 'circle') return `Point ${names[restAt]} on the rim`;
+        if (shape === 'semicircle') {
+            return restAt === 0 || restAt === names.length - 1
+                ? `End ${names[restAt]} of the diameter`
+                : `Point ${names[restAt]} on the arc`;
+        }
+        return `Corner ${names[restAt]}`;
+    }
+
+    /**
+     * Names the reference line the problem inclines: the resting side, or the line from
+     * the resting corner through the centre.
+     * @returns {string} E.g. "Side AB" or "Diagonal AC".
+     */
+    getReferenceLine() {
+        const { shape, size, width, restBy, restAt } = this.params;
+        return restBy === 'side' ? this.getRestName() : SHAPES[shape].axis(restAt, createOutline(shape, size, width).names);
+    }
+
+    /**
+     * Measures the reference line as placed: its true inclinations to the HP and VP and the
+     * angles its front and top views make with XY.
+     * @param {THREE.Quaternion} quaternion The lamina's orientation in the first quadrant.
+     * @returns {{theta: number, phi: number, alpha: number, beta: number}} The angles in
+     *     degrees; α or β is NaN when that view of the line is a point.
+     */
+    measureReferenceLine(quaternion) {
+        // restLamina() lays a resting side along X and the line through a resting corner along Y
+        const direction = (this.params.restBy === 'side' ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0))
+            .applyQuaternion(quaternion);
+        const [dx, dy, dz] = direction.toArray().map(Math.abs);
+        const degrees = THREE.MathUtils.radToDeg;
+        return {
+            theta: degrees(Math.asin(Math.min(1, dy))),
+            phi: degrees(Math.asin(Math.min(1, dz))),
+            alpha: Math.hypot(dx, dy) < EPSILON ? NaN : degrees(Math.atan2(dy, dx)),
+            beta: Math.hypot(dx, dz) < EPSILON ? NaN : degrees(Math.atan2(dz, dx))
+        };
+    }
+
+    /**
+     * Moves the side view of the lamina on the PP and the projectors from each corner.
+     * @param {THREE.Vector3[]} outline The outline of the lamina.
+     * @param {THREE.Vector3[]} corners The corners of the lamina.
+     */
+    updateSideView(outline, corners) {
+        const sm = this.sceneManager;
+        const { outline: sideOutline, labels, projectors } = this.sideViewObjects;
+
+        sm.updateLine(sideOutline, outline.map(point => sm.getSideView(point)));
+        corners.forEach((corner, i) => {
+            const sideCorner = sm.getSideView(corner);
+            sm.updateMarker(labels[i], sideCorner);
+            sm.updateLine(projectors[i], [corner, sideCorner]);
         });
     }
 
+    /**
+     * Finds the true area of the lamina, exactly for the curved shapes rather than from
+     * their outline.
+     * @returns {number} The area.
+     */
+    getTrueArea() {
+        const { shape, size } = this.params;
+        if (shape === 'circle') return Math.PI * size * size / 4;
+        if (shape === 'semicircle') return Math.PI * size * size / 8;
+        return Math.abs(measureOutline(this.lamina.outline).area);
+    }
+
+    /**
+     * Describes the lamina's shape and dimensions.
+     * @returns {string} E.g. "Pentagon, side 4".
+     */
+    describeShape() {
+        const { shape, size, width } = this.params;
+        const { label, dimensions } = SHAPES[shape];
+        if (dimensions.length === 1) {
+            return `${label}, ${dimensions[0].toLowerCase()} ${size}`;
+        }
+        return `${label}, ${dimensions[0]} ${size}, ${dimensions[1]} ${width}`;
+    }
+
     /**
      * Updates the information overlay with the current plane analysis.
+     * @param {{quaternion: THREE.Quaternion}} placement Where the lamina is, from getPlacement().
+     * @param {{edgeAngle: number, limited: boolean}} solution The solved orientation, from
+     *     solveOrientation().
+     * @param {{horizontal: PlaneTrace, vertical: PlaneTrace}} traces The plane's traces.
+     * @param {{type: string, detail: string, theta: number, phi: number, edgeViews: string[], trueViews: string[]}} classification
+     *     The plane's type, inclinations, and edge and true-shape views, from classifyPlane().
+     * @param {{route: string, area: number|null}|null} auxiliary How the auxiliary planes
+     *     find the true shape, from updateAuxiliary(), or null when they are not shown.
      */
-    updateInfo() {
+    updateInfo(placement, solution, traces, classification, auxiliary) {
+        const { restPlane, restBy, surfaceAngle, edgeMode, edgeAngle } = this.params;
+        const system = this.sceneManager.getProjectionSystem();
+        const [restingPlane, otherPlane] = restPlane === 'hp' ? ['HP', 'VP'] : ['VP', 'HP'];
+        const view = restPlane === 'hp' ? 'top view' : 'front view';
+        const line = this.getReferenceLine();
+        const measured = this.measureReferenceLine(placement.quaternion);
+        const given = edgeMode === 'true' || restBy === 'side'
+            ? `${line} at ${edgeAngle}° to the ${otherPlane}`
+            : `${line} in the ${view} at ${edgeAngle}° to XY`;
+        const viewAngle = (symbol, angle, name) => (isNaN(angle)
+            ? `its ${name} view is a point`
+            : `${symbol} = ${angle.toFixed(1)}° to XY in the ${name} view`);
+        const limited = solution.limited ? `
+                    <div class="text-amber-700">With the surface at ${surfaceAngle}° to the ${restingPlane}, ${line.replace(/^\w/, c => c.toLowerCase())} can be inclined at most ${solution.edgeAngle}° to the ${otherPlane}; it is drawn at ${solution.edgeAngle}°.</div>` : '';
+        const { horizontal, vertical } = traces;
+        const meeting = !horizontal.parallel && !vertical.parallel && horizontal.crossing !== null ? `
+                    <div>HT and VT meet on XY at x = ${(Math.abs(horizontal.crossing) < 0.005 ? 0 : horizontal.crossing).toFixed(2)}</div>` : '';
+        const sideViewShape = classification.trueViews.includes('side view') ? 'True shape (parallel to the PP)'
+            : classification.edgeViews.includes('side view') ? 'Edge view (perpendicular to the PP)' : 'Foreshortened';
+        const sideView = this.sceneManager.isProfilePlaneVisible() ? `
+                <div class="mt-2 pt-2 border-t border-slate-300">
+                    <div><b>${system.sideView}:</b> ${sideViewShape}</div>
+                </div>` : '';
+
+        const { step } = this.construction;
+        const narration = step ? `
+            <div class="mt-2 p-2 bg-amber-50 border border-amber-200 rounded text-xs text-amber-800">
+                <b>Stage ${step} of ${STAGES.length}: ${STAGES[step - 1].title}.</b>
+                ${STAGES[step - 1].narration(this.getStageTerms(solution))}
+            </div>` : '';
+
         this.uiManager.updateInfoOverlay(`
-            <h4 class="font-bold text-slate-800">Plane Analysis</h4>
+            <h4 class="font-bold text-slate-800">Plane Analysis</h4>${narration}
             <div class="mt-2 space-y-1 text-xs">
-                <div><b>Size:</b> ${this.params.size} × ${this.params.size} units</div>
+                <div><b>Lamina:</b> ${this.describeShape()}</div>
+                <div><b>True area:</b> ${this.getTrueArea().toFixed(2)} sq. units</div>
+                <div><b>Rests on:</b> the ${restingPlane}, on ${this.getRestName().replace(/^\w/, c => c.toLowerCase())}</div>
+                <div><b>Projection:</b> ${system.name} (${system.standard})</div>
                 <div class="mt-2 pt-2 border-t border-slate-300">
-                    <div><b>Rotation X:</b> ${this.params.rotX}°</div>
-                    <div><b>Rotation Y:</b> ${this.params.rotY}°</div>
-                    <div><b>Rotation Z:</b> ${this.params.rotZ}°</div>
+                    <div><b>Given:</b> surface at ${surfaceAngle}° to the ${restingPlane}, ${given}</div>${limited}
+                    <div><b>${line}:</b> θ = ${measured.theta.toFixed(1)}°, φ = ${measured.phi.toFixed(1)}°;
+                        ${viewAngle('α', measured.alpha, 'front')}, ${viewAngle('β', measured.beta, 'top')}</div>
                 </div>
-                <div class="mt-2 pt-2 border-t border-slate-300 text-purple-700">
-                    <p class="text-xs italic">
-                        Rotate the view to see how the plane intersects with HP and VP
-                    </p>
+                <div class="mt-2 pt-2 border-t border-slate-300">
+                    <div><b>Type:</b> <span class="text-indigo-600 font-semibold">${classification.type}</span></div>
+                    <div class="text-slate-600">${classification.detail}</div>
+                    <div><b>Edge view:</b> ${classification.edgeViews.length ? `in the ${classification.edgeViews.join(' and ')}` : 'none'}</div>
+                    <div><b>Surface inclinations:</b> θ = ${classification.theta.toFixed(1)}° to the HP, φ = ${classification.phi.toFixed(1)}° to the VP</div>
                 </div>
+                <div class="mt-2 pt-2 border-t border-slate-300">
+                    <div><b>HT:</b> ${this.describeTrace(traces.horizontal, 'HP')}</div>
+                    <div><b>VT:</b> ${this.describeTrace(traces.vertical, 'VP')}</div>${meeting}
+                </div>${sideView}${auxiliary ? this.describeTrueShape(placement, classification, auxiliary) : ''}
             </div>
         `);
     }
 
     /**
-     * Cleans up the topic by clearing all simulation objects.
+     * Describes how the auxiliary planes find the true shape, for the info overlay, and
+     * compares the areas of the drawn views, measured from their outlines, and the angles
+     * seen in them with the true ones. A curved lamina is drawn as a polygon a little
+     * smaller than the curve, so areas measured from its views are scaled up by the same
+     * ratio to compare with its exact true area.
+     * @param {{outline: THREE.Vector3[]}} placement Where the lamina is, from getPlacement().
+     * @param {{theta: number, phi: number, edgeViews: string[]}} classification The plane's
+     *     inclinations and edge views, from classifyPlane().
+     * @param {{route: string, area: number|null}} auxiliary The route taken and the measured
+     *     area of the last auxiliary view, from updateAuxiliary().
+     * @returns {string} The HTML of the overlay's true-shape section.
+     */
+    describeTrueShape(placement, classification, auxiliary) {
+        const area = this.getTrueArea();
+        const scale = area / Math.abs(measureOutline(this.lamina.outline).area);
+        const viewArea = (name, [across, symbol, angle]) => {
+            const measured = scale * Math.abs(measureOutline(placement.outline.map(point => new THREE.Vector2(point.x, point[across]))).area);
+            const predicted = area * Math.cos(THREE.MathUtils.degToRad(angle));
+            return `<div><b>${name} area:</b> ${measured.toFixed(2)} measured (${(100 * measured / area).toFixed(0)}% of true);
+                true area × cos ${symbol} = ${predicted.toFixed(2)}</div>`;
+        };
+        const auxiliaryArea = auxiliary.area === null ? '' : `
+                    <div><b>Auxiliary view area:</b> ${(scale * auxiliary.area).toFixed(2)} measured, the true shape</div>`;
+
+        // Corner angles, true and as seen in each view; a view that is an edge has none
+        const { outline, corners, names } = this.lamina;
+        let angles = '';
+        if (corners.length === outline.length) {
+            const points = placement.outline;
+            const views = [
+                { direction: null, edge: false },
+                { direction: new THREE.Vector3(0, 0, 1), edge: classification.edgeViews.includes('front view') },
+                { direction: new THREE.Vector3(0, 1, 0), edge: classification.edgeViews.includes('top view') }
+            ];
+            const rows = names.map((name, i) => {
+                const [previous, next] = [points[(i + points.length - 1) % points.length], points[(i + 1) % points.length]];
+                const cells = views.map(({ direction, edge }) => {
+                    const angle = measureCornerAngle(previous, points[i], next, direction);
+                    return `<td class="px-1 text-right">${edge || isNaN(angle) ? '—' : `${angle.toFixed(1)}°`}</td>`;
+                }).join('');
+                return `<tr><td class="px-1">∠${name}</td>${cells}</tr>`;
+            }).join('');
+            angles = `
+                    <table class="mt-1">
+                        <tr class="text-slate-600"><th class="px-1 text-left">Angle</th><th class="px-1">True</th><th class="px-1">Front</th><th class="px-1">Top</th></tr>${rows}
+                    </table>`;
+        }
+
+        return `
+                <div class="mt-2 pt-2 border-t border-slate-300">
+                    <div class="font-semibold text-pink-700">True Shape</div>
+                    <div class="text-slate-600">${AUXILIARY_ROUTES[auxiliary.route]}</div>${auxiliaryArea}
+                    ${viewArea('Front view', ['y', 'φ', classification.phi])}
+                    ${viewArea('Top view', ['z', 'θ', classification.theta])}${angles}
+                </div>`;
+    }
+
+    /**
+     * Cleans up the topic by stopping the construction's playback and the auxiliary planes'
+     * unfolding, and clearing all simulation objects.
      */
     cleanup() {
+        this.stopConstruction();
+        this.stopAuxiliary();
         this.sceneManager.clearSimulation();
     }
 }
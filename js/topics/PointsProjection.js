@@ -4,9 +4,32 @@
 
 import * as THREE from '../../libs/three.module.js';
 
+/** @type {string[]} Colours handed to new points in turn. */
+const POINT_COLORS = ['#dc2626', '#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#db2777', '#4b5563'];
+
+/**
+ * Escapes text for use in HTML, such as a name the user typed.
+ * @param {string} text The text.
+ * @returns {string} The text with &, <, >, " and ' escaped.
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return text.replace(/[&<>"']/g, character => entities[character]);
+}
+
+/**
+ * @typedef {Object} NamedPoint
+ * @property {string} name The point's letter, e.g. A.
+ * @property {string} color The CSS colour of the point and its views.
+ * @property {number} x The X coordinate.
+ * @property {number} y The height above HP.
+ * @property {number} z The distance in front of VP.
+ */
+
 /**
  * @class PointsProjection
- * @classdesc A topic module for visualizing the orthographic projection of a point in 3D space.
+ * @classdesc A topic module for visualizing the orthographic projections of named points
+ * in 3D space, and the distances and lines between them.
  */
 class PointsProjection {
     /**
@@ -20,12 +43,22 @@ class PointsProjection {
         /** @type {UIManager} Reference to the UIManager. */
         this.uiManager = uiManager;
         /**
-         * @type {{x: number, y: number, z: number}}
-         * The parameters (coordinates) for the point.
+         * @type {{points: NamedPoint[], selected: number}}
+         * The points, and which of them the sliders move.
          */
-        this.params = { x: 3, y: 4, z: 5 };
-        /** @type {Object<string, THREE.Object3D>} A map to store created 3D objects. */
-        this.objects = {};
+        this.params = {
+            points: [
+                { name: 'A', color: POINT_COLORS[0], x: 3, y: 4, z: 5 },
+                { name: 'B', color: POINT_COLORS[1], x: -3, y: 2, z: 3 }
+            ],
+            selected: 0
+        };
+        /** @type {Array<Object<string, THREE.Object3D>>} The objects of each point. */
+        this.objects = [];
+        /** @type {Array<Object<string, THREE.Object3D>>} The side view of each point and its projectors, shown with the PP. */
+        this.sideViewObjects = [];
+        /** @type {Array<{pair: number[], line: THREE.Line, front: THREE.Line, top: THREE.Line}>} The line joining each pair of points and its views. */
+        this.pairObjects = [];
     }
 
     /**
@@ -33,22 +66,31 @@ class PointsProjection {
      */
     load() {
         this.createControls();
+        this.createObjects();
         this.updateVisualization();
     }
 
     /**
-     * Creates the UI controls for manipulating the point's coordinates.
+     * Creates the UI controls for the list of points and the selected point's coordinates.
      */
     createControls() {
+        const point = this.getSelectedPoint();
         const html = `
-            <h3 class="text-md font-semibold mb-3 text-slate-800">Point P (x, y, z) Controls</h3>
+            <h3 class="text-md font-semibold mb-3 text-slate-800">Points Controls</h3>
+            <div class="bg-slate-50 p-3 rounded-lg mb-4">
+                <div id="point-list" class="space-y-1 mb-2"></div>
+                <button id="add-point" class="toolbar-button w-full px-3 py-1.5 bg-white rounded-md shadow text-sm font-medium">
+                    + Add Point
+                </button>
+            </div>
             <div class="bg-slate-50 p-3 rounded-lg mb-4">
+                <h4 id="selected-point-heading" class="text-sm font-semibold mb-2 text-slate-700">Point ${point.name}</h4>
                 ${this.uiManager.createSlider({
                     id: 'x-slider',
                     label: 'X Coordinate',
                     min: -8,
                     max: 8,
-                    value: this.params.x,
+                    value: point.x,
                     step: 0.5
                 })}
                 ${this.uiManager.createSlider({
@@ -56,7 +98,7 @@ class PointsProjection {
                     label: 'Y Coordinate (Height above HP)',
                     min: -8,
                     max: 8,
-                    value: this.params.y,
+                    value: point.y,
                     step: 0.5
                 })}
                 ${this.uiManager.createSlider({
@@ -64,33 +106,50 @@ class PointsProjection {
                     label: 'Z Coordinate (Distance from VP)',
                     min: -8,
                     max: 8,
-                    value: this.params.z,
+                    value: point.z,
                     step: 0.5
                 })}
             </div>
+            <p class="text-xs text-slate-600 mb-4">
+                <b>Tip:</b> Drag any point in the scene. Hold Shift, Ctrl or Alt to move it
+                along X, Y or Z only.
+            </p>
             <div class="bg-blue-50 border border-blue-200 p-3 rounded-lg text-sm">
                 <p class="font-semibold text-blue-800">Legend:</p>
-                <div class="mt-2 space-y-1">
+                <div class="mt-2 space-y-1 text-blue-700">
+                    <div>Each point A, its front view a' and top view a share the point's colour.</div>
                     <div class="flex items-center">
-                        <span class="inline-block w-3 h-3 rounded-full bg-red-500 mr-2"></span>
-                        <span class="text-blue-700">Point P (Main Point)</span>
+                        <span class="inline-block w-4 h-1 bg-slate-600 mr-2"></span>
+                        <span>Line joining two points, with its views</span>
                     </div>
                     <div class="flex items-center">
-                        <span class="inline-block w-3 h-3 rounded-full bg-green-500 mr-2"></span>
-                        <span class="text-blue-700">Front View (p')</span>
-                    </div>
-                    <div class="flex items-center">
-                        <span class="inline-block w-3 h-3 rounded-full bg-blue-500 mr-2"></span>
-                        <span class="text-blue-700">Top View (p)</span>
+                        <span class="inline-block w-3 h-3 rounded-full bg-purple-600 mr-2"></span>
+                        <span>Side View (a'') - with PP on</span>
                     </div>
                 </div>
             </div>
         `;
 
         this.uiManager.setControls(html);
+        this.renderPointList();
         this.attachEventListeners();
     }
 
+    /**
+     * Fills the list of points, each with its colour, name and a remove button.
+     */
+    renderPointList() {
+        const { points, selected } = this.params;
+        document.getElementById('point-list').innerHTML = points.map((point, i) => `
+            <div class="point-row flex items-center gap-2 p-1 rounded cursor-pointer ${i === selected ? 'bg-indigo-100' : 'hover:bg-slate-100'}" data-index="${i}">
+                <input type="color" class="point-color w-6 h-6 p-0 border-0 bg-transparent" value="${point.color}" title="Colour">
+                <input type="text" class="point-name w-12 px-1 border border-slate-300 rounded text-sm" value="${escapeHtml(point.name)}" maxlength="3" title="Name">
+                <span class="point-position flex-1 text-xs text-slate-600">(${point.x}, ${point.y}, ${point.z})</span>
+                <button class="point-remove px-1 text-slate-500 hover:text-red-600 ${points.length > 1 ? '' : 'invisible'}" title="Remove">✕</button>
+            </div>
+        `).join('');
+    }
+
     /**
      * Attaches event listeners to the UI controls.
      */
@@ -98,115 +157,419 @@ class PointsProjection {
         ['x', 'y', 'z'].forEach(axis => {
             const slider = document.getElementById(`${axis}-slider`);
             const valueLabel = document.getElementById(`${axis}-slider-value`);
-            
+
             slider.addEventListener('input', (e) => {
-                this.params[axis] = parseFloat(e.target.value);
-                valueLabel.textContent = this.params[axis];
+                this.getSelectedPoint()[axis] = parseFloat(e.target.value);
+                valueLabel.textContent = this.getSelectedPoint()[axis];
                 this.updateVisualization();
             });
         });
+
+        document.getElementById('add-point').addEventListener('click', () => this.addPoint());
+
+        // The list is redrawn as points come and go, so its events are handled on the list
+        const list = document.getElementById('point-list');
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.point-row');
+            if (!row) return;
+            const index = parseInt(row.dataset.index, 10);
+            if (e.target.closest('.point-remove')) {
+                this.removePoint(index);
+            } else if (!e.target.matches('input')) {
+                this.selectPoint(index);
+            }
+        });
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.point-row');
+            const index = parseInt(row.dataset.index, 10);
+            if (e.target.matches('.point-name')) {
+                const taken = this.renamePoint(index, e.target.value.trim());
+                e.target.classList.toggle('border-red-500', taken);
+                e.target.title = taken ? 'Another point already has this name' : 'Name';
+            } else if (e.target.matches('.point-color')) {
+                this.recolorPoint(index, e.target.value);
+            }
+        });
+        // A name left empty or taken reverts to the point's name when the field is left
+        list.addEventListener('change', (e) => {
+            if (!e.target.matches('.point-name')) return;
+            const index = parseInt(e.target.closest('.point-row').dataset.index, 10);
+            e.target.value = this.params.points[index].name;
+            e.target.classList.remove('border-red-500');
+            e.target.title = 'Name';
+        });
     }
 
     /**
-     * Updates the 3D visualization based on the current parameters.
-     * Clears the previous simulation objects and creates new ones.
+     * Returns the point the sliders move.
+     * @returns {NamedPoint} The selected point.
      */
-    updateVisualization() {
+    getSelectedPoint() {
+        return this.params.points[this.params.selected];
+    }
+
+    /**
+     * Makes a point the one the sliders move.
+     * @param {number} index The point's index.
+     */
+    selectPoint(index) {
+        this.params.selected = index;
+        const point = this.getSelectedPoint();
+        ['x', 'y', 'z'].forEach(axis => this.uiManager.setSliderValue(`${axis}-slider`, point[axis]));
+        document.getElementById('selected-point-heading').textContent = `Point ${point.name}`;
+        this.renderPointList();
+    }
+
+    /**
+     * Adds a point with the next free letter and colour, and selects it.
+     */
+    addPoint() {
+        const { points } = this.params;
+        const names = points.map(point => point.name.toUpperCase());
+        const letters = Array.from({ length: 26 }, (_, i) => String.fromCharCode(65 + i));
+        const numbered = Array.from({ length: points.length + 1 }, (_, i) => `P${i + 1}`);
+        const name = [...letters, ...numbered].find(candidate => !names.includes(candidate));
+        const color = POINT_COLORS.find(candidate => !points.some(point => point.color === candidate))
+            || POINT_COLORS[points.length % POINT_COLORS.length];
+
+        points.push({ name, color, x: 0, y: 3, z: 3 });
+        this.selectPoint(points.length - 1);
+        this.rebuild();
+    }
+
+    /**
+     * Removes a point, keeping at least one.
+     * @param {number} index The point's index.
+     */
+    removePoint(index) {
+        const { points } = this.params;
+        if (points.length === 1) return;
+
+        points.splice(index, 1);
+        const selected = index < this.params.selected ? this.params.selected - 1 : this.params.selected;
+        this.selectPoint(Math.min(selected, points.length - 1));
+        this.rebuild();
+    }
+
+    /**
+     * Renames a point, relabelling it and its views in place. Names must differ, ignoring
+     * case, since the views are lettered in lower case.
+     * @param {number} index The point's index.
+     * @param {string} name The new name; ignored while empty.
+     * @returns {boolean} True if another point already has the name, which is refused.
+     */
+    renamePoint(index, name) {
+        if (!name) return false;
+        const taken = this.params.points.some((point, i) => i !== index && point.name.toLowerCase() === name.toLowerCase());
+        if (taken) return true;
+
+        this.params.points[index].name = name;
+        this.nameObjects(index);
+        this.pairObjects.forEach((pair, i) => {
+            if (pair.pair.includes(index)) this.namePairObjects(i);
+        });
+        if (index === this.params.selected) {
+            document.getElementById('selected-point-heading').textContent = `Point ${name}`;
+        }
+        this.updateInfo();
+        return false;
+    }
+
+    /**
+     * Recolours a point and its views in place.
+     * @param {number} index The point's index.
+     * @param {string} color The new CSS colour.
+     */
+    recolorPoint(index, color) {
+        const sm = this.sceneManager;
+        const { mainPoint, frontView, topView } = this.objects[index];
+        this.params.points[index].color = color;
+        [mainPoint, frontView, topView, this.sideViewObjects[index].sideView].forEach(marker => {
+            sm.setObjectColor(marker, color);
+        });
+    }
+
+    /**
+     * Builds the objects again after points are added or removed.
+     */
+    rebuild() {
         this.sceneManager.clearSimulation();
+        this.createObjects();
+        this.updateVisualization();
+    }
+
+    /**
+     * Moves a point to where it is dragged in the scene, selecting it and keeping the
+     * sliders in step.
+     * @param {number} index The point's index.
+     * @param {THREE.Vector3} position The requested position of the point.
+     */
+    onPointDragged(index, position) {
+        if (index !== this.params.selected) {
+            this.selectPoint(index);
+        }
+
+        const point = this.getSelectedPoint();
+        let changed = false;
+        ['x', 'y', 'z'].forEach(axis => {
+            const value = this.uiManager.setSliderValue(`${axis}-slider`, position[axis]);
+            changed = changed || value !== point[axis];
+            point[axis] = value;
+        });
+
+        if (changed) {
+            this.updateVisualization();
+        }
+    }
+
+    /**
+     * Creates every point's objects and the lines joining each pair once.
+     * updateVisualization() then moves them into place whenever the parameters change.
+     */
+    createObjects() {
+        const { points } = this.params;
+        this.objects = [];
+        this.sideViewObjects = [];
+        points.forEach((point, i) => this.createPointObjects(point, i));
+
+        // Lines joining each pair, drawn under the points
+        const sm = this.sceneManager;
+        const ends = [new THREE.Vector3(), new THREE.Vector3()];
+        this.pairObjects = [];
+        points.forEach((first, i) => {
+            points.slice(i + 1).forEach((second, k) => {
+                this.pairObjects.push({
+                    pair: [i, i + 1 + k],
+                    line: sm.createLine(ends, { color: 0x475569, info: {} }),
+                    front: sm.createLine(ends, { color: 0x15803d, plane: 'vp', info: {} }),
+                    top: sm.createLine(ends, { color: 0x1d4ed8, plane: 'hp', info: {} })
+                });
+                this.namePairObjects(this.pairObjects.length - 1);
+            });
+        });
+    }
+
+    /**
+     * Creates one point, its views, projectors, labels and side view.
+     * @param {NamedPoint} point The point.
+     * @param {number} index The point's index.
+     */
+    createPointObjects(point, index) {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        const projector = { color: 0x555555, dashSize: 0.2 };
+
+        const mainPoint = sm.createMarker(origin, { color: point.color, radius: 0.3, info: {} });
+        sm.interactionManager.makeDraggable(mainPoint, (position) => this.onPointDragged(index, position));
+
+        this.objects[index] = {
+            mainPoint,
+            // Front view (projection on VP) and top view (projection on HP)
+            frontView: sm.createMarker(origin, { color: point.color, plane: 'vp', info: {} }),
+            topView: sm.createMarker(origin, { color: point.color, plane: 'hp', info: {} }),
+            mainLabel: sm.addLabel('', origin),
+            frontLabel: sm.addLabel('', origin, { plane: 'vp' }),
+            topLabel: sm.addLabel('', origin, { plane: 'hp' }),
+
+            // Projection lines from the point to its views, and from each view to XY, one on
+            // each plane so that they line up into a single projector on the unfolded sheet
+            frontProjector: sm.createProjector(origin, origin, { ...projector, info: {} }),
+            topProjector: sm.createProjector(origin, origin, { ...projector, info: {} }),
+            frontToXY: sm.createProjector(origin, origin, { ...projector, plane: 'vp', info: {} }),
+            topToXY: sm.createProjector(origin, origin, { ...projector, plane: 'hp', info: {} })
+        };
+
+        // Side view (projection on PP), carried across by projectors from the point and
+        // from its front and top views
+        const sideInfo = { name: 'Side view projector' };
+        this.sideViewObjects[index] = {
+            sideView: sm.createMarker(origin, { color: point.color, plane: 'pp', info: {} }),
+            sideLabel: sm.addLabel('', origin, { plane: 'pp' }),
+            mainToSide: sm.createProjector(origin, origin, { ...projector, info: sideInfo }),
+            frontToHinge: sm.createProjector(origin, origin, { ...projector, plane: 'vp', info: sideInfo }),
+            topToHinge: sm.createProjector(origin, origin, { ...projector, plane: 'hp', info: sideInfo }),
+            sideToFrontHinge: sm.createProjector(origin, origin, { ...projector, plane: 'pp', info: sideInfo }),
+            sideToTopHinge: sm.createProjector(origin, origin, { ...projector, plane: 'pp', info: sideInfo })
+        };
+        this.nameObjects(index);
+    }
+
+    /**
+     * Names a point's objects and labels after the point: A in space, a' in the front
+     * view, a in the top view and a'' in the side view.
+     * @param {number} index The point's index.
+     */
+    nameObjects(index) {
+        const sm = this.sceneManager;
+        const name = this.params.points[index].name;
+        const view = name.toLowerCase();
+        const objects = this.objects[index];
+        const side = this.sideViewObjects[index];
 
-        // Main Point P (Red)
-        const pointGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-        const mainPoint = new THREE.Mesh(
-            pointGeometry,
-            new THREE.MeshStandardMaterial({ color: 0xff0000 })
-        );
-        mainPoint.position.set(this.params.x, this.params.y, this.params.z);
-        this.sceneManager.addToSimulation(mainPoint);
-
-        // Front View p' (Green) - projection on VP
-        const frontView = new THREE.Mesh(
-            new THREE.SphereGeometry(0.2, 16, 16),
-            new THREE.MeshStandardMaterial({ color: 0x00ff00 })
-        );
-        frontView.position.set(this.params.x, this.params.y, 0);
-        this.sceneManager.addToSimulation(frontView);
-
-        // Top View p (Blue) - projection on HP
-        const topView = new THREE.Mesh(
-            new THREE.SphereGeometry(0.2, 16, 16),
-            new THREE.MeshStandardMaterial({ color: 0x0000ff })
-        );
-        topView.position.set(this.params.x, 0, this.params.z);
-        this.sceneManager.addToSimulation(topView);
-
-        // Projection Lines
-        this.createProjectionLines(mainPoint.position, frontView.position, topView.position);
+        Object.assign(objects.mainPoint.userData.info, { name: `Point ${name}`, description: 'The point in space.' });
+        Object.assign(objects.frontView.userData.info, { name: `Front view ${view}'`, description: `Projection of ${name} on the VP.` });
+        Object.assign(objects.topView.userData.info, { name: `Top view ${view}`, description: `Projection of ${name} on the HP.` });
+        Object.assign(side.sideView.userData.info, { name: `Side view ${view}''`, description: `Projection of ${name} on the PP.` });
+        Object.assign(objects.frontProjector.userData.info, { name: `Projector ${name}${view}'`, description: `Perpendicular from ${name} to the VP.` });
+        Object.assign(objects.topProjector.userData.info, { name: `Projector ${name}${view}`, description: `Perpendicular from ${name} to the HP.` });
+        Object.assign(objects.frontToXY.userData.info, { name: `Projector ${view}' to XY` });
+        Object.assign(objects.topToXY.userData.info, { name: `Projector ${view} to XY` });
+
+        sm.setLabelText(objects.mainLabel, name);
+        sm.setLabelText(objects.frontLabel, `${view}'`);
+        sm.setLabelText(objects.topLabel, view);
+        sm.setLabelText(side.sideLabel, `${view}''`);
+    }
+
+    /**
+     * Names the line joining a pair of points and its views after the points.
+     * @param {number} index The pair's index in pairObjects.
+     */
+    namePairObjects(index) {
+        const { pair, line, front, top } = this.pairObjects[index];
+        const [first, second] = pair.map(i => this.params.points[i].name);
+        const views = [first, second].map(name => name.toLowerCase());
+
+        Object.assign(line.userData.info, { name: `Line ${first}${second}`, description: `The line joining ${first} and ${second}.` });
+        Object.assign(front.userData.info, { name: `Front view ${views[0]}'${views[1]}'` });
+        Object.assign(top.userData.info, { name: `Top view ${views[0]}${views[1]}` });
+    }
+
+    /**
+     * Updates the 3D visualization based on the current parameters, moving the objects
+     * made by createObjects() into place.
+     */
+    updateVisualization() {
+        const sm = this.sceneManager;
+        const showSideView = sm.isProfilePlaneVisible();
+
+        this.params.points.forEach((point, i) => {
+            const objects = this.objects[i];
+            const mainPos = new THREE.Vector3(point.x, point.y, point.z);
+            const frontPos = new THREE.Vector3(point.x, point.y, 0);
+            const topPos = new THREE.Vector3(point.x, 0, point.z);
+            const xyPoint = new THREE.Vector3(point.x, 0, 0);
+
+            sm.updateMarker(objects.mainPoint, mainPos);
+            sm.updateMarker(objects.frontView, frontPos);
+            sm.updateMarker(objects.topView, topPos);
+            sm.updateMarker(objects.mainLabel, mainPos);
+            sm.updateMarker(objects.frontLabel, frontPos);
+            sm.updateMarker(objects.topLabel, topPos);
+
+            sm.updateLine(objects.frontProjector, [mainPos, frontPos]);
+            sm.updateLine(objects.topProjector, [mainPos, topPos]);
+            sm.updateLine(objects.frontToXY, [frontPos, xyPoint]);
+            sm.updateLine(objects.topToXY, [xyPoint, topPos]);
+
+            sm.setObjectsVisible(Object.values(this.sideViewObjects[i]), showSideView);
+            if (showSideView) {
+                this.updateSideView(this.sideViewObjects[i], mainPos, frontPos, topPos);
+            }
+        });
+
+        this.pairObjects.forEach(({ pair, line, front, top }) => {
+            const ends = pair.map(i => this.params.points[i]);
+            sm.updateLine(line, ends.map(point => new THREE.Vector3(point.x, point.y, point.z)));
+            sm.updateLine(front, ends.map(point => new THREE.Vector3(point.x, point.y, 0)));
+            sm.updateLine(top, ends.map(point => new THREE.Vector3(point.x, 0, point.z)));
+        });
+
+        // Keep the coordinates in the list current without redrawing it under the pointer
+        document.querySelectorAll('#point-list .point-position').forEach((element, i) => {
+            const point = this.params.points[i];
+            element.textContent = `(${point.x}, ${point.y}, ${point.z})`;
+        });
 
         // Update info overlay
         this.updateInfo();
     }
 
     /**
-     * Creates the dashed lines connecting the main point to its projections.
+     * Moves a point's side view and the dashed projectors that carry the point and its
+     * front and top views across to it on the PP.
+     * @param {Object<string, THREE.Object3D>} objects The point's side view objects.
      * @param {THREE.Vector3} mainPos The position of the main point.
      * @param {THREE.Vector3} frontPos The position of the front view projection.
      * @param {THREE.Vector3} topPos The position of the top view projection.
      */
-    createProjectionLines(mainPos, frontPos, topPos) {
-        const lineMaterial = new THREE.LineDashedMaterial({
-            color: 0x555555,
-            dashSize: 0.2,
-            gapSize: 0.1
-        });
+    updateSideView(objects, mainPos, frontPos, topPos) {
+        const sm = this.sceneManager;
 
-        // Line from P to front view
-        let geometry = new THREE.BufferGeometry().setFromPoints([mainPos, frontPos]);
-        let line = new THREE.Line(geometry, lineMaterial);
-        line.computeLineDistances();
-        this.sceneManager.addToSimulation(line);
+        const sidePos = sm.getSideView(mainPos);
+        const frontOnHinge = new THREE.Vector3(sidePos.x, frontPos.y, 0);
+        const topOnHinge = new THREE.Vector3(sidePos.x, 0, topPos.z);
 
-        // Line from P to top view
-        geometry = new THREE.BufferGeometry().setFromPoints([mainPos, topPos]);
-        line = new THREE.Line(geometry, lineMaterial);
-        line.computeLineDistances();
-        this.sceneManager.addToSimulation(line);
-
-        // Connecting line on XY plane
-        const midPoint = new THREE.Vector3(this.params.x, 0, 0);
-        geometry = new THREE.BufferGeometry().setFromPoints([frontPos, midPoint, topPos]);
-        line = new THREE.Line(geometry, lineMaterial);
-        line.computeLineDistances();
-        this.sceneManager.addToSimulation(line);
+        sm.updateMarker(objects.sideView, sidePos);
+        sm.updateMarker(objects.sideLabel, sidePos);
+        sm.updateLine(objects.mainToSide, [mainPos, sidePos]);
+        sm.updateLine(objects.frontToHinge, [frontPos, frontOnHinge]);
+        sm.updateLine(objects.topToHinge, [topPos, topOnHinge]);
+        sm.updateLine(objects.sideToFrontHinge, [sidePos, frontOnHinge]);
+        sm.updateLine(objects.sideToTopHinge, [sidePos, topOnHinge]);
     }
 
     /**
-     * Updates the information overlay with the current point analysis.
+     * Updates the information overlay with each point's analysis and the distances
+     * between each pair.
      */
     updateInfo() {
-        const quadrant = this.getQuadrant();
-        
+        const { points } = this.params;
+        const system = this.sceneManager.getProjectionSystem();
+        const showSideView = this.sceneManager.isProfilePlaneVisible();
+
+        const pointRows = points.map(point => {
+            const name = escapeHtml(point.name);
+            const view = name.toLowerCase();
+            const sideView = showSideView
+                ? `<div class="pl-3 text-slate-600">${view}'' (${point.z}, ${point.y}), ${this.sceneManager.profilePlaneX - point.x} from PP</div>`
+                : '';
+            return `
+                <div>
+                    <b style="color: ${point.color}">${name}</b> (${point.x}, ${point.y}, ${point.z}):
+                    <span class="text-indigo-600 font-semibold">${this.getQuadrant(point)}</span>
+                    <div class="pl-3 text-slate-600">${view}' (${point.x}, ${point.y}), ${view} (${point.x}, ${point.z})</div>${sideView}
+                </div>`;
+        }).join('');
+
+        const pairRows = this.pairObjects.map(({ pair }) => {
+            const [first, second] = pair.map(i => points[i]);
+            const names = [first, second].map(point => escapeHtml(point.name));
+            const views = names.map(name => name.toLowerCase());
+            const dx = Math.abs(second.x - first.x);
+            return `
+                <div>
+                    <b>${names[0]}${names[1]}:</b> true distance ${Math.hypot(dx, second.y - first.y, second.z - first.z).toFixed(2)}
+                    <div class="pl-3 text-slate-600">
+                        Projectors ${dx.toFixed(2)} apart,
+                        ${views[0]}'${views[1]}' ${Math.hypot(dx, second.y - first.y).toFixed(2)},
+                        ${views[0]}${views[1]} ${Math.hypot(dx, second.z - first.z).toFixed(2)}
+                    </div>
+                </div>`;
+        }).join('');
+
         this.uiManager.updateInfoOverlay(`
-            <h4 class="font-bold text-slate-800">Point P Analysis</h4>
+            <h4 class="font-bold text-slate-800">Points Analysis</h4>
             <div class="mt-2 space-y-1 text-xs">
-                <div><b>Position:</b> (${this.params.x}, ${this.params.y}, ${this.params.z})</div>
-                <div><b>Quadrant:</b> <span class="text-indigo-600 font-semibold">${quadrant}</span></div>
-                <div class="mt-2 pt-2 border-t border-slate-300">
-                    <div><b>Front View (p'):</b> (${this.params.x}, ${this.params.y})</div>
-                    <div><b>Top View (p):</b> (${this.params.x}, ${this.params.z})</div>
-                </div>
+                <div><b>Projection:</b> ${system.name} (${system.standard})</div>${showSideView ? `
+                <div><b>Side view:</b> ${system.sideView}</div>` : ''}
+                <div class="mt-2 pt-2 border-t border-slate-300 space-y-1">${pointRows}</div>
+                ${pairRows ? `
+                <div class="mt-2 pt-2 border-t border-slate-300 space-y-1">${pairRows}</div>` : ''}
             </div>
         `);
     }
 
     /**
-     * Determines the quadrant of the point based on its Y and Z coordinates.
+     * Determines the quadrant of a point based on its Y and Z coordinates.
+     * @param {NamedPoint} point The point.
      * @returns {string} The name of the quadrant or position.
      */
-    getQuadrant() {
-        if (this.params.y > 0 && this.params.z > 0) return "1st Quadrant";
-        if (this.params.y > 0 && this.params.z < 0) return "2nd Quadrant";
-        if (this.params.y < 0 && this.params.z < 0) return "3rd Quadrant";
-        if (this.params.y < 0 && this.params.z > 0) return "4th Quadrant";
+    getQuadrant(point) {
+        if (point.y > 0 && point.z > 0) return "1st Quadrant";
+        if (point.y > 0 && point.z < 0) return "2nd Quadrant";
+        if (point.y < 0 && point.z < 0) return "3rd Quadrant";
+        if (point.y < 0 && point.z > 0) return "4th Quadrant";
         return "On a plane/axis";
     }
 
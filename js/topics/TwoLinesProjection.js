@@ -0,0 +1,693 @@
+/**
+ * @file Contains the TwoLinesProjection class for the relative positions of two lines topic.
+ */
+
+import * as THREE from '../../libs/three.module.js';
+
+/** @type {string[][]} The letters of the ends of each line. */
+const LINE_NAMES = [['A', 'B'], ['C', 'D']];
+
+/**
+ * @type {Array<{line: number, front: number, top: number, side: number}>}
+ * The colours of each line and its views. AB keeps the usual red, green, blue and purple.
+ */
+const LINE_COLORS = [
+    { line: 0xff0000, front: 0x00ff00, top: 0x0000ff, side: 0x9333ea },
+    { line: 0xf97316, front: 0x65a30d, top: 0x0ea5e9, side: 0xc026d3 }
+];
+
+/** @type {number} The colour of the intersection and of the common perpendicular. */
+const MEETING_COLOR = 0xdb2777;
+
+/** @type {number} How far beyond the lines the intersection or perpendicular may be and still be drawn. */
+const REACH_LIMIT = 30;
+
+/** @type {Object<string, Object<string, number>>} Example pairs of lines for each relationship. */
+const PRESETS = {
+    intersecting: { ax: 1, ay: 2, az: 1, bx: 7, by: 6, bz: 5, cx: 2, cy: 6, cz: 5, dx: 6, dy: 2, dz: 1 },
+    parallel: { ax: 1, ay: 2, az: 1, bx: 7, by: 6, bz: 5, cx: 0, cy: 4, cz: 3, dx: 6, dy: 8, dz: 7 },
+    skew: { ax: 1, ay: 2, az: 1, bx: 7, by: 6, bz: 5, cx: 1, cy: 6, cz: 5, dx: 7, dy: 1, dz: 2 }
+};
+
+/**
+ * Works out how two lines, taken as extending without end, lie relative to each other.
+ * @param {THREE.Vector3[]} first The ends of the first line, A and B.
+ * @param {THREE.Vector3[]} second The ends of the second line, C and D.
+ * @returns {{relation: string, angle?: number, distance?: number, s?: number, t?: number,
+ *     feet?: THREE.Vector3[]}} The relationship ('point', 'collinear', 'parallel',
+ *     'intersecting' or 'skew'), the angle between the lines in degrees, the shortest
+ *     distance, and the feet of the common perpendicular on each line with how far along
+ *     AB (s) and CD (t) they are. For intersecting lines both feet are the intersection.
+ */
+function relateLines([a, b], [c, d]) {
+    const d1 = b.clone().sub(a);
+    const d2 = d.clone().sub(c);
+    if (d1.length() < 1e-6 || d2.length() < 1e-6) {
+        return { relation: 'point' };
+    }
+
+    const w0 = a.clone().sub(c);
+    const cross = d1.clone().cross(d2);
+    const angle = THREE.MathUtils.radToDeg(Math.acos(
+        Math.min(1, Math.abs(d1.dot(d2)) / (d1.length() * d2.length()))
+    ));
+
+    if (cross.length() < 1e-6 * d1.length() * d2.length()) {
+        // Parallel lines have a common perpendicular anywhere; drop it from A
+        const t = w0.dot(d2) / d2.lengthSq();
+        const feet = [a.clone(), c.clone().addScaledVector(d2, t)];
+        const distance = feet[0].distanceTo(feet[1]);
+        return {
+            relation: distance < 1e-6 ? 'collinear' : 'parallel',
+            angle: 0,
+            distance,
+            s: 0,
+            t,
+            feet
+        };
+    }
+
+    // The feet of the common perpendicular, where (P - Q) is at right angles to both lines
+    const p = d1.dot(d1);
+    const q = d1.dot(d2);
+    const r = d2.dot(d2);
+    const u = d1.dot(w0);
+    const v = d2.dot(w0);
+    const denominator = p * r - q * q;
+    const s = (q * v - r * u) / denominator;
+    const t = (p * v - q * u) / denominator;
+    const feet = [a.clone().addScaledVector(d1, s), c.clone().addScaledVector(d2, t)];
+    const distance = feet[0].distanceTo(feet[1]);
+
+    return { relation: distance < 1e-6 ? 'intersecting' : 'skew', angle, distance, s, t, feet };
+}
+
+/**
+ * @typedef {Object} ViewCrossing
+ * @property {('cross'|'parallel'|'point')} type Whether the views cross, are parallel, or
+ *     are not both lines because one or both is only a point.
+ * @property {number} [at] Where the views cross along the view's first axis, for 'cross'.
+ * @property {number[]} [points] The indices of the lines whose views are points, for 'point'.
+ */
+
+/**
+ * Finds where two views, extended, cross: the front views on the VP (axes 'x' and 'y'),
+ * the top views on the HP ('x' and 'z') or the side views on the PP ('z' and 'y').
+ * @param {THREE.Vector3[]} first The ends of the first line.
+ * @param {THREE.Vector3[]} second The ends of the second line.
+ * @param {('x'|'z')} along The axis of the view's plane along which the crossing is measured.
+ * @param {('y'|'z')} across The other axis of the view's plane.
+ * @returns {ViewCrossing} How the views lie.
+ */
+function findViewCrossing([a, b], [c, d], along, across) {
+    const d1 = { u: b[along] - a[along], v: b[across] - a[across] };
+    const d2 = { u: d[along] - c[along], v: d[across] - c[across] };
+    const points = [d1, d2].map((direction, i) => (Math.hypot(direction.u, direction.v) < 1e-6 ? i : -1))
+        .filter(i => i >= 0);
+    if (points.length) return { type: 'point', points };
+
+    const denominator = d1.u * d2.v - d1.v * d2.u;
+    if (Math.abs(denominator) < 1e-9) return { type: 'parallel' };
+
+    const s = ((c[along] - a[along]) * d2.v - (c[across] - a[across]) * d2.u) / denominator;
+    return { type: 'cross', at: a[along] + s * d1.u };
+}
+
+/**
+ * @class TwoLinesProjection
+ * @classdesc A topic module for the relative positions of two lines: whether they
+ * intersect, are parallel or are skew, their common perpendicular, shortest distance and
+ * the angle between them.
+ */
+class TwoLinesProjection {
+    /**
+     * @constructor
+     * @param {SceneManager} sceneManager An instance of the SceneManager.
+     * @param {UIManager} uiManager An instance of the UIManager.
+     */
+    constructor(sceneManager, uiManager) {
+        /** @type {SceneManager} Reference to the SceneManager. */
+        this.sceneManager = sceneManager;
+        /** @type {UIManager} Reference to the UIManager. */
+        this.uiManager = uiManager;
+        /**
+         * @type {Object<string, number>}
+         * The coordinates of the ends A, B, C and D, keyed as ax, ay, az, bx and so on.
+         */
+        this.params = { ...PRESETS.skew };
+        /** @type {Object} Each line with its views, projectors, ends and labels. */
+        this.objects = {};
+        /** @type {Object} The side views of both lines, their labels and projectors, shown with the PP. */
+        this.sideViewObjects = {};
+    }
+
+    /**
+     * Loads the topic, creating controls and initial visualization.
+     */
+    load() {
+        this.createControls();
+        this.createObjects();
+        this.updateVisualization();
+    }
+
+    /**
+     * Creates the UI controls for the ends of both lines.
+     */
+    createControls() {
+        const html = `
+            <h3 class="text-md font-semibold mb-3 text-slate-800">Two Lines Controls</h3>
+            <div class="flex rounded-md shadow overflow-hidden mb-4">
+                <button class="two-lines-preset toolbar-button flex-1 px-2 py-1.5 bg-white text-sm font-medium" data-preset="intersecting">Intersecting</button>
+                <button class="two-lines-preset toolbar-button flex-1 px-2 py-1.5 bg-white text-sm font-medium" data-preset="parallel">Parallel</button>
+                <button class="two-lines-preset toolbar-button flex-1 px-2 py-1.5 bg-white text-sm font-medium" data-preset="skew">Skew</button>
+            </div>
+            ${LINE_NAMES.map(names => `
+            <div class="bg-slate-50 p-3 rounded-lg mb-4">
+                <h4 class="text-sm font-semibold mb-2 text-slate-700">Line ${names.join('')}</h4>
+                ${names.map(name => this.createEndSliders(name)).join('')}
+            </div>`).join('')}
+            <p class="text-xs text-slate-600 mb-4">
+                <b>Tip:</b> Drag any end in the scene. Hold Shift, Ctrl or Alt to move it along
+                X, Y or Z only.
+            </p>
+            <div class="bg-green-50 border border-green-200 p-3 rounded-lg text-sm">
+                <p class="font-semibold text-green-800">Legend:</p>
+                <div class="mt-2 space-y-1">
+                    <div class="flex items-center">
+                        <span class="inline-block w-4 h-1 bg-red-600 mr-2"></span>
+                        <span class="text-green-700">Line AB (views green, blue and purple)</span>
+                    </div>
+                    <div class="flex items-center">
+                        <span class="inline-block w-4 h-1 bg-orange-500 mr-2"></span>
+                        <span class="text-green-700">Line CD (views lime, sky and fuchsia)</span>
+                    </div>
+                    <div class="flex items-center">
+                        <span class="inline-block w-4 h-1 bg-pink-600 mr-2"></span>
+                        <span class="text-green-700">Intersection O or common perpendicular PQ</span>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.uiManager.setControls(html);
+        this.attachEventListeners();
+    }
+
+    /**
+     * Creates the sliders for one end's coordinates.
+     * @param {string} name The end's letter.
+     * @returns {string} The HTML for the sliders.
+     */
+    createEndSliders(name) {
+        const key = name.toLowerCase();
+        return ['x', 'y', 'z'].map(axis => this.uiManager.createSlider({
+            id: `${key}${axis}-slider`,
+            label: `${name} ${axis.toUpperCase()}`,
+            min: -8,
+            max: 8,
+            value: this.params[key + axis],
+            step: 0.5
+        })).join('');
+    }
+
+    /**
+     * Attaches event listeners to the UI controls.
+     */
+    attachEventListeners() {
+        Object.keys(this.params).forEach(param => {
+            const slider = document.getElementById(`${param}-slider`);
+            const valueLabel = document.getElementById(`${param}-slider-value`);
+
+            slider.addEventListener('input', (e) => {
+                this.params[param] = parseFloat(e.target.value);
+                valueLabel.textContent = this.params[param];
+                this.updateVisualization();
+            });
+        });
+
+        document.querySelectorAll('.two-lines-preset').forEach(button => {
+            button.addEventListener('click', () => this.applyParams(PRESETS[button.dataset.preset]));
+        });
+    }
+
+    /**
+     * Moves an end of either line when it is dragged in the scene.
+     * @param {string} name The end's letter.
+     * @param {THREE.Vector3} position The requested position of the end.
+     */
+    onEndDragged(name, position) {
+        const end = this.sceneManager.fromObjectQuadrant(position);
+        const key = name.toLowerCase();
+        this.applyParams({ [`${key}x`]: end.x, [`${key}y`]: end.y, [`${key}z`]: end.z });
+    }
+
+    /**
+     * Applies parameters set by dragging or by a preset, snapping them through their
+     * sliders, and redraws if anything changed.
+     * @param {Object<string, number>} values The requested parameter values.
+     */
+    applyParams(values) {
+        let changed = false;
+        Object.entries(values).forEach(([param, value]) => {
+            const applied = this.uiManager.setSliderValue(`${param}-slider`, value);
+            changed = changed || applied !== this.params[param];
+            this.params[param] = applied;
+        });
+
+        if (changed) {
+            this.updateVisualization();
+        }
+    }
+
+    /**
+     * Creates both lines, the intersection and the common perpendicular once.
+     * updateVisualization() then moves them into place whenever the parameters change.
+     */
+    createObjects() {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        const ends = [origin, origin];
+
+        this.objects = {
+            lines: LINE_NAMES.map((names, i) => this.createLineObjects(names, LINE_COLORS[i])),
+            // The intersection O and its views o' and o, which share a projector
+            meeting: {
+                point: sm.createMarker(origin, {
+                    color: MEETING_COLOR,
+                    radius: 0.2,
+                    info: { name: 'Intersection O', description: 'Where the two lines meet.' }
+                }),
+                front: sm.createMarker(origin, {
+                    color: MEETING_COLOR,
+                    radius: 0.12,
+                    plane: 'vp',
+                    info: { name: "Front view o'", description: 'Where the front views cross.' }
+                }),
+                top: sm.createMarker(origin, {
+                    color: MEETING_COLOR,
+                    radius: 0.12,
+                    plane: 'hp',
+                    info: { name: 'Top view o', description: 'Where the top views cross.' }
+                }),
+                labels: [
+                    sm.addLabel('O', origin),
+                    sm.addLabel("o'", origin, { plane: 'vp' }),
+                    sm.addLabel('o', origin, { plane: 'hp' })
+                ],
+                frontToXY: sm.createProjector(origin, origin, { plane: 'vp', info: { name: "Projector o' to XY" } }),
+                topToXY: sm.createProjector(origin, origin, { plane: 'hp', info: { name: 'Projector o to XY' } })
+            },
+            // The common perpendicular PQ and its views
+            perpendicular: {
+                line: sm.createLine(ends, {
+                    color: MEETING_COLOR,
+                    linewidth: 2,
+                    info: { name: 'Common perpendicular PQ', description: 'The shortest line between the two lines.' }
+                }),
+                front: sm.createLine(ends, {
+                    color: MEETING_COLOR,
+                    dashed: true,
+                    plane: 'vp',
+                    info: { name: "Front view p'q'" }
+                }),
+                top: sm.createLine(ends, {
+                    color: MEETING_COLOR,
+                    dashed: true,
+                    plane: 'hp',
+                    info: { name: 'Top view pq' }
+                }),
+                feet: ['P', 'Q'].map((name, i) => sm.createMarker(origin, {
+                    color: MEETING_COLOR,
+                    radius: 0.12,
+                    info: { name: `Foot ${name}`, description: `Foot of the common perpendicular on ${LINE_NAMES[i].join('')}.` }
+                })),
+                labels: [sm.addLabel('P', origin), sm.addLabel('Q', origin)]
+            }
+        };
+
+        // Side views on the PP, with projectors from each end, which tell profile lines apart
+        this.sideViewObjects = {
+            lines: LINE_NAMES.map((names, i) => {
+                const name = names.join('');
+                const sideName = names.map(letter => `${letter.toLowerCase()}''`).join('');
+                return {
+                    line: sm.createLine(ends, {
+                        color: LINE_COLORS[i].side,
+                        linewidth: 2,
+                        plane: 'pp',
+                        info: { name: `Side view ${sideName}`, description: `Projection of ${name} on the PP.` }
+                    }),
+                    labels: names.map(letter => sm.addLabel(`${letter.toLowerCase()}''`, origin, { plane: 'pp' })),
+                    projectors: names.map(() => sm.createProjector(origin, origin, { info: { name: 'Side view projector' } }))
+                };
+            })
+        };
+    }
+
+    /**
+     * Creates one line with its views, extensions, projectors, draggable ends and labels.
+     * @param {string[]} names The letters of the line's ends.
+     * @param {{line: number, front: number, top: number}} colors The colours of the line and its views.
+     * @returns {Object} The line's objects.
+     */
+    createLineObjects(names, colors) {
+        const sm = this.sceneManager;
+        const origin = new THREE.Vector3();
+        const ends = [origin, origin];
+        const name = names.join('');
+        const frontName = names.map(letter => `${letter.toLowerCase()}'`).join('');
+        const topName = names.join('').toLowerCase();
+
+        const objects = {
+            line: sm.createLine(ends, {
+                color: colors.line,
+                linewidth: 3,
+                info: { name: `Line ${name}`, description: 'The line in space.' }
+            }),
+            front: sm.createLine(ends, {
+                color: colors.front,
+                linewidth: 2,
+                plane: 'vp',
+                info: { name: `Front view ${frontName}`, description: `Projection of ${name} on the VP.` }
+            }),
+            top: sm.createLine(ends, {
+                color: colors.top,
+                linewidth: 2,
+                plane: 'hp',
+                info: { name: `Top view ${topName}`, description: `Projection of ${name} on the HP.` }
+            }),
+            // The line and its views extended to the intersection or common perpendicular
+            extensions: {
+                line: sm.createLine(ends, { color: colors.line, dashed: true, info: { name: `${name} extended` } }),
+                front: sm.createLine(ends, { color: colors.front, dashed: true, plane: 'vp', info: { name: `${frontName} extended` } }),
+                top: sm.createLine(ends, { color: colors.top, dashed: true, plane: 'hp', info: { name: `${topName} extended` } })
+            },
+            labels: {
+                line: names.map(letter => sm.addLabel(letter, origin)),
+                front: names.map(letter => sm.addLabel(`${letter.toLowerCase()}'`, origin, { plane: 'vp' })),
+                top: names.map(letter => sm.addLabel(letter.toLowerCase(), origin, { plane: 'hp' }))
+            },
+            projectors: names.map(() => ({
+                front: sm.createProjector(origin, origin, { info: { name: 'Projector' } }),
+                top: sm.createProjector(origin, origin, { info: { name: 'Projector' } }),
+                frontToXY: sm.createProjector(origin, origin, { plane: 'vp', info: { name: 'Projector to XY' } }),
+                topToXY: sm.createProjector(origin, origin, { plane: 'hp', info: { name: 'Projector to XY' } })
+            })),
+            ends: names.map(letter => sm.createMarker(origin, {
+                color: colors.line,
+                radius: 0.15,
+                info: { name: `End ${letter}` }
+            }))
+        };
+        objects.ends.forEach((marker, i) => {
+            sm.interactionManager.makeDraggable(marker, (position) => this.onEndDragged(names[i], position));
+        });
+        return objects;
+    }
+
+    /**
+     * Reads the ends of both lines from the parameters.
+     * @returns {THREE.Vector3[][]} The ends [A, B] and [C, D], in the first quadrant.
+     */
+    getEnds() {
+        return LINE_NAMES.map(names => names.map(name => {
+            const key = name.toLowerCase();
+            return new THREE.Vector3(this.params[`${key}x`], this.params[`${key}y`], this.params[`${key}z`]);
+        }));
+    }
+
+    /**
+     * Updates the 3D visualization based on the current parameters, moving the objects
+     * made by createObjects() into place.
+     */
+    updateVisualization() {
+        const sm = this.sceneManager;
+        const ends = this.getEnds();
+        const relation = relateLines(...ends);
+
+        // The feet are drawn only when they lie within reach of the lines
+        const reachable = relation.feet !== undefined && relation.feet.every((foot, i) => (
+            foot.distanceTo(ends[i][0]) <= REACH_LIMIT
+        ));
+        const along = reachable ? [relation.s, relation.t] : [0, 0];
+
+        ends.forEach((lineEnds, i) => {
+            this.updateLineObjects(this.objects.lines[i], lineEnds, along[i]);
+        });
+
+        const showSideView = sm.isProfilePlaneVisible();
+        sm.setObjectsVisible(this.getSideViewObjects(), showSideView);
+        if (showSideView) {
+            this.updateSideView(ends);
+        }
+
+        this.updateMeeting(relation, reachable);
+        this.updateInfo(ends, relation, reachable);
+    }
+
+    /**
+     * Moves one line, its views, projectors, ends and labels, extending the line and its
+     * views to reach a point along it.
+     * @param {Object} objects The line's objects, from createLineObjects().
+     * @param {THREE.Vector3[]} lineEnds The line's ends, in the first quadrant.
+     * @param {number} reach How far along the line, as a fraction from its first end, it
+     *     must be extended to.
+     */
+    updateLineObjects(objects, lineEnds, reach) {
+        const sm = this.sceneManager;
+        const ends = lineEnds.map(point => sm.toObjectQuadrant(point.clone()));
+        const frontEnds = ends.map(point => new THREE.Vector3(point.x, point.y, 0));
+        const topEnds = ends.map(point => new THREE.Vector3(point.x, 0, point.z));
+
+        sm.updateLine(objects.line, ends);
+        sm.updateLine(objects.front, frontEnds);
+        sm.updateLine(objects.top, topEnds);
+
+        ends.forEach((point, i) => {
+            const xyPoint = new THREE.Vector3(point.x, 0, 0);
+            const projectors = objects.projectors[i];
+            sm.updateLine(projectors.front, [point, frontEnds[i]]);
+            sm.updateLine(projectors.top, [point, topEnds[i]]);
+            sm.updateLine(projectors.frontToXY, [frontEnds[i], xyPoint]);
+            sm.updateLine(projectors.topToXY, [topEnds[i], xyPoint]);
+
+            sm.updateMarker(objects.ends[i], point);
+            sm.updateMarker(objects.labels.line[i], point);
+            sm.updateMarker(objects.labels.front[i], frontEnds[i]);
+            sm.updateMarker(objects.labels.top[i], topEnds[i]);
+        });
+
+        const extended = [Math.min(0, reach), Math.max(1, reach)].map(t => ends[0].clone().lerp(ends[1], t));
+        sm.setObjectsVisible(Object.values(objects.extensions), reach < 0 || reach > 1);
+        sm.updateLine(objects.extensions.line, extended);
+        sm.updateLine(objects.extensions.front, extended.map(point => new THREE.Vector3(point.x, point.y, 0)));
+        sm.updateLine(objects.extensions.top, extended.map(point => new THREE.Vector3(point.x, 0, point.z)));
+    }
+
+    /**
+     * Lists the side view objects, for showing and hiding them with the PP.
+     * @returns {THREE.Object3D[]} The side views, their labels and their projectors.
+     */
+    getSideViewObjects() {
+        return this.sideViewObjects.lines.flatMap(({ line, labels, projectors }) => [line, ...labels, ...projectors]);
+    }
+
+    /**
+     * Moves the side views of both lines on the PP and the projectors from each end.
+     * @param {THREE.Vector3[][]} ends The ends of both lines, in the first quadrant.
+     */
+    updateSideView(ends) {
+        const sm = this.sceneManager;
+        ends.forEach((lineEnds, i) => {
+            const objects = this.sideViewObjects.lines[i];
+            const points = lineEnds.map(point => sm.toObjectQuadrant(point.clone()));
+            const sideEnds = points.map(point => sm.getSideView(point));
+
+            sm.updateLine(objects.line, sideEnds);
+            points.forEach((point, j) => {
+                sm.updateMarker(objects.labels[j], sideEnds[j]);
+                sm.updateLine(objects.projectors[j], [point, sideEnds[j]]);
+            });
+        });
+    }
+
+    /**
+     * Shows the intersection and its views when the lines meet, or the common
+     * perpendicular and its views when they do not.
+     * @param {Object} relation How the lines lie, from relateLines().
+     * @param {boolean} reachable Whether the feet are near enough to draw.
+     */
+    updateMeeting(relation, reachable) {
+        const sm = this.sceneManager;
+        const { meeting, perpendicular } = this.objects;
+        const meets = reachable && relation.relation === 'intersecting';
+        const apart = reachable && (relation.relation === 'parallel' || relation.relation === 'skew');
+
+        sm.setObjectsVisible([
+            meeting.point, meeting.front, meeting.top, ...meeting.labels, meeting.frontToXY, meeting.topToXY
+        ], meets);
+        sm.setObjectsVisible([
+            perpendicular.line, perpendicular.front, perpendicular.top, ...perpendicular.feet, ...perpendicular.labels
+        ], apart);
+
+        if (meets) {
+            const point = sm.toObjectQuadrant(relation.feet[0].clone());
+            const front = new THREE.Vector3(point.x, point.y, 0);
+            const top = new THREE.Vector3(point.x, 0, point.z);
+            const onXY = new THREE.Vector3(point.x, 0, 0);
+
+            sm.updateMarker(meeting.point, point);
+            sm.updateMarker(meeting.front, front);
+            sm.updateMarker(meeting.top, top);
+            [point, front, top].forEach((position, i) => sm.updateMarker(meeting.labels[i], position));
+            sm.updateLine(meeting.frontToXY, [front, onXY]);
+            sm.updateLine(meeting.topToXY, [onXY, top]);
+        }
+
+        if (apart) {
+            const feet = relation.feet.map(foot => sm.toObjectQuadrant(foot.clone()));
+            sm.updateLine(perpendicular.line, feet);
+            sm.updateLine(perpendicular.front, feet.map(point => new THREE.Vector3(point.x, point.y, 0)));
+            sm.updateLine(perpendicular.top, feet.map(point => new THREE.Vector3(point.x, 0, point.z)));
+            feet.forEach((foot, i) => {
+                sm.updateMarker(perpendicular.feet[i], foot);
+                sm.updateMarker(perpendicular.labels[i], foot);
+            });
+        }
+    }
+
+    /**
+     * Describes where a point lies along a line: on the line itself or on its extension.
+     * @param {number} along How far along the line the point is, as a fraction from its first end.
+     * @param {string[]} names The letters of the line's ends.
+     * @returns {string} The description.
+     */
+    describeAlong(along, names) {
+        if (along >= -1e-6 && along <= 1 + 1e-6) return `on ${names.join('')}`;
+        return along < 0 ? `on ${names.join('')} extended beyond ${names[0]}` : `on ${names.join('')} extended beyond ${names[1]}`;
+    }
+
+    /**
+     * Describes how a pair of views lies, for the info overlay.
+     * @param {{name: string, crossing: ViewCrossing}} view The views' name ('front', 'top'
+     *     or 'side') and how they lie, from findViewCrossing().
+     * @returns {string} E.g. "front views cross at x = 2.00".
+     */
+    describeViewCrossing({ name, crossing }) {
+        if (crossing.type === 'point') {
+            return crossing.points.length === 2
+                ? `both ${name} views are points`
+                : `the ${name} view of ${LINE_NAMES[crossing.points[0]].join('')} is a point`;
+        }
+        if (crossing.type === 'parallel') return `${name} views are parallel`;
+        if (name === 'side') return 'side views cross';
+        return `${name} views cross at x = ${this.sceneManager.toObjectQuadrant(new THREE.Vector3(crossing.at, 0, 0)).x.toFixed(2)}`;
+    }
+
+    /**
+     * Explains from their views why two skew lines are neither parallel nor meeting.
+     * @param {{name: string, crossing: ViewCrossing}[]} views How the front and top views lie.
+     * @returns {string} The explanation.
+     */
+    explainSkew(views) {
+        const pointView = views.find(view => view.crossing.type === 'point');
+        if (pointView) {
+            const { name, crossing } = pointView;
+            const line = LINE_NAMES[crossing.points[0]].join('');
+            return `The ${name} view of ${line} is a point that does not lie on the other line's ${name} view, so the lines
+                do not meet; and they are not parallel, since only one of them is seen end on.`;
+        }
+
+        const parallel = views.filter(view => view.crossing.type === 'parallel').length;
+        if (parallel === 2) {
+            const sideNote = this.sceneManager.isProfilePlaneVisible()
+                ? 'Their side views are not parallel, so the lines are skew.'
+                : 'Show the PP to see the side views.';
+            return `Both pairs of views are parallel, yet the lines are not: they are profile lines, and a side view is
+                needed to tell how they lie. ${sideNote}`;
+        }
+        if (parallel === 1) {
+            return 'One pair of views is parallel and the other is not, so the lines are neither parallel nor meeting.';
+        }
+        return 'The views cross on different projectors, so the crossings are not the views of a common point.';
+    }
+
+    /**
+     * Updates the information overlay with how the lines lie relative to each other.
+     * @param {THREE.Vector3[][]} ends The ends of both lines, in the first quadrant.
+     * @param {Object} relation How the lines lie, from relateLines().
+     * @param {boolean} reachable Whether the feet are near enough to draw.
+     */
+    updateInfo(ends, relation, reachable) {
+        const sm = this.sceneManager;
+        const system = sm.getProjectionSystem();
+        const format = point => {
+            const placed = sm.toObjectQuadrant(point.clone());
+            return `(${placed.toArray().map(value => (Math.abs(value) < 0.005 ? 0 : value).toFixed(2)).join(', ')})`;
+        };
+        const lines = ends.map((lineEnds, i) => `
+                <div><b>${LINE_NAMES[i].join('')}:</b> ${format(lineEnds[0])} to ${format(lineEnds[1])},
+                    TL ${lineEnds[0].distanceTo(lineEnds[1]).toFixed(2)}</div>`).join('');
+
+        let details;
+        if (relation.relation === 'point') {
+            details = '<div class="text-red-700">Both ends of a line coincide, so it is only a point.</div>';
+        } else {
+            const names = {
+                intersecting: 'Intersecting',
+                parallel: 'Parallel',
+                collinear: 'Collinear (the same line)',
+                skew: 'Skew (neither parallel nor intersecting)'
+            };
+            const views = [
+                { name: 'front', crossing: findViewCrossing(...ends, 'x', 'y') },
+                { name: 'top', crossing: findViewCrossing(...ends, 'x', 'z') }
+            ];
+            const side = { name: 'side', crossing: findViewCrossing(...ends, 'z', 'y') };
+            const shown = sm.isProfilePlaneVisible() ? [...views, side] : views;
+            const crossingText = shown.map(view => this.describeViewCrossing(view)).join(', ');
+            const far = reachable ? '' : ' (too far away to draw)';
+
+            details = `
+                <div><b>Relationship:</b> <span class="text-indigo-600 font-semibold">${names[relation.relation]}</span></div>
+                <div><b>Angle between the lines:</b> ${relation.angle.toFixed(1)}°</div>
+                <div><b>Shortest distance:</b> ${relation.distance.toFixed(2)} units</div>
+                <div><b>Views:</b> ${crossingText}</div>`;
+
+            if (relation.relation === 'intersecting') {
+                details += `
+                <div><b>Intersection O:</b> ${format(relation.feet[0])}${far}, ${this.describeAlong(relation.s, LINE_NAMES[0])}
+                    and ${this.describeAlong(relation.t, LINE_NAMES[1])}</div>
+                <div class="italic text-slate-600">o' and o lie on one projector, as they must for lines that meet.</div>`;
+            } else if (relation.relation !== 'collinear') {
+                details += `
+                <div><b>Common perpendicular:</b> P ${format(relation.feet[0])} ${this.describeAlong(relation.s, LINE_NAMES[0])},
+                    Q ${format(relation.feet[1])} ${this.describeAlong(relation.t, LINE_NAMES[1])}${far}</div>`;
+            }
+            if (relation.relation === 'skew') {
+                details += `
+                <div class="italic text-slate-600">${this.explainSkew(views)}</div>`;
+            }
+        }
+
+        this.uiManager.updateInfoOverlay(`
+            <h4 class="font-bold text-slate-800">Two Lines Analysis</h4>
+            <div class="mt-2 space-y-1 text-xs">
+                ${lines}
+                <div><b>Projection:</b> ${system.name} (${system.standard})</div>
+                <div class="mt-2 pt-2 border-t border-slate-300 space-y-1">
+                    ${details}
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Cleans up the topic by clearing all simulation objects.
+     */
+    cleanup() {
+        this.sceneManager.clearSimulation();
+    }
+}
+
+export default TwoLinesProjection;
@@ -37,6 +37,8 @@ class WelcomeTopic {
                     <li><b>Rotate:</b> Left-click and drag</li>
                     <li><b>Pan:</b> Right-click and drag</li>
                     <li><b>Zoom:</b> Scroll wheel or pinch</li>
+                    <li><b>Views:</b> Keys 1-6 or the view buttons for front, top, side and isometric views</li>
+                    <li><b>Unfold:</b> Rotate the HP into the VP to get the 2D drawing</li>
                 </ul>
                 <p class="mt-3 text-sm text-indigo-700">
                     Select a topic from above to begin your interactive learning experience!